@@ -3,6 +3,9 @@ require("dotenv").config();
 // Import dependencies
 const express = require("express");
 const cors = require("cors");
+const multer = require("multer");
+const MarkdownIt = require("markdown-it");
+const sanitizeHtml = require("sanitize-html");
 const { MongoClient } = require("mongodb");
 const admin = require("firebase-admin");
 
@@ -23,9 +26,939 @@ if (!process.env.STRIPE_WEBHOOK_SECRET) {
   );
 }
 
+/*
+ * STRIPE BILLING
+ * Plans sold through Checkout live in the plans collection (see PRICE CATALOG).
+ * These defaults seed it on first start: "lifetime" is a one-time payment
+ * (legacy), "monthly" and "yearly" are recurring subscriptions.
+ */
+const DEFAULT_PLANS = {
+  monthly: {
+    name: "Rewise Premium Monthly",
+    description: "Monthly premium subscription",
+    amount: 20000, // ৳200 in paisa
+    currency: "bdt",
+    interval: "month",
+  },
+  yearly: {
+    name: "Rewise Premium Yearly",
+    description: "Yearly premium subscription",
+    amount: 150000, // ৳1500 in paisa
+    currency: "bdt",
+    interval: "year",
+  },
+  lifetime: {
+    name: "Rewise Premium Subscription",
+    description: "One-time payment for lifetime premium access",
+    amount: 150000, // ৳1500 in paisa (1500 * 100)
+    currency: "bdt",
+    interval: null,
+  },
+};
+
+// Days a user keeps premium after a failed renewal payment
+const PREMIUM_GRACE_DAYS = parseInt(process.env.PREMIUM_GRACE_DAYS) || 7;
+
+// Characters of the description shown in locked premium lesson previews
+// (0 disables the excerpt; unset or invalid falls back to 200)
+const previewLengthSetting = parseInt(process.env.PREMIUM_PREVIEW_LENGTH);
+const PREMIUM_PREVIEW_LENGTH = Number.isNaN(previewLengthSetting)
+  ? 200
+  : Math.max(previewLengthSetting, 0);
+
+// Subscription statuses that grant premium
+const ACTIVE_SUBSCRIPTION_STATUSES = ["active", "trialing"];
+
+// Premium is active unless a grace period has run out
+function hasActivePremium(user) {
+  if (!user || !user.isPremium) return false;
+  if (user.premiumGraceUntil && new Date(user.premiumGraceUntil) < new Date()) {
+    return false;
+  }
+  return true;
+}
+
+// Find or create the Stripe customer for a user and store its ID
+async function getOrCreateStripeCustomer(email) {
+  const usersCollection = getUsersCollection();
+  const user = await usersCollection.findOne({ email });
+
+  if (user && user.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const customer = await stripe.customers.create({
+    email,
+    name: user ? user.name : undefined,
+    metadata: { userEmail: email },
+  });
+
+  await usersCollection.updateOne(
+    { email },
+    { $set: { stripeCustomerId: customer.id } }
+  );
+
+  return customer.id;
+}
+
+// Resolve the user a Stripe object belongs to (customer ID first, then metadata email)
+async function findUserForStripeObject(customerId, metadata) {
+  const usersCollection = getUsersCollection();
+
+  if (customerId) {
+    const user = await usersCollection.findOne({ stripeCustomerId: customerId });
+    if (user) return user;
+  }
+
+  const email = metadata && metadata.userEmail;
+  return email ? usersCollection.findOne({ email }) : null;
+}
+
+// Sync a user's premium status from a Stripe subscription object
+async function applySubscriptionToUser(subscription) {
+  const usersCollection = getUsersCollection();
+  const user = await findUserForStripeObject(
+    subscription.customer,
+    subscription.metadata
+  );
+
+  // Throw so the stored event is marked failed and can be replayed
+  if (!user) {
+    throw new Error(`No user found for subscription ${subscription.id}`);
+  }
+
+  // Newer Stripe API versions moved the period end onto subscription items
+  const item = subscription.items && subscription.items.data[0];
+  const periodEnd = subscription.current_period_end || (item && item.current_period_end);
+
+  const updateFields = {
+    stripeCustomerId: subscription.customer,
+    subscription: {
+      id: subscription.id,
+      status: subscription.status,
+      plan: (subscription.metadata && subscription.metadata.plan) ||
+        (item && item.price && item.price.recurring &&
+          (item.price.recurring.interval === "year" ? "yearly" : "monthly")),
+      currentPeriodEnd: periodEnd ? new Date(periodEnd * 1000) : null,
+      cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+      updatedAt: new Date(),
+    },
+  };
+
+  // Lifetime purchases are never revoked by subscription changes
+  const isLifetime = user.premiumPlan === "lifetime";
+
+  if (ACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+    updateFields.isPremium = true;
+    updateFields.premiumPlan = isLifetime ? "lifetime" : updateFields.subscription.plan;
+    updateFields.premiumGraceUntil = null;
+  } else if (subscription.status === "past_due") {
+    // Keep premium during the grace period (set by invoice.payment_failed)
+    if (!user.premiumGraceUntil && !isLifetime) {
+      updateFields.premiumGraceUntil = new Date(
+        Date.now() + PREMIUM_GRACE_DAYS * 24 * 60 * 60 * 1000
+      );
+    }
+  } else if (!isLifetime) {
+    // canceled, unpaid, incomplete_expired, paused...
+    updateFields.isPremium = false;
+    updateFields.premiumPlan = null;
+    updateFields.premiumGraceUntil = null;
+  }
+
+  await usersCollection.updateOne({ _id: user._id }, { $set: updateFields });
+  console.log(`Subscription ${subscription.id} for ${user.email} is ${subscription.status}`);
+}
+
+/*
+ * customer.subscription.created / updated / deleted
+ * Events can arrive late or out of order (a "created" with status incomplete
+ * after checkout completed), so the payload is only used to find the
+ * subscription: its current state is retrieved from Stripe. Events for a
+ * subscription other than the user's current one are ignored, unless the
+ * user has none or it has ended.
+ */
+async function handleSubscriptionEvent(eventSubscription) {
+  const user = await findUserForStripeObject(
+    eventSubscription.customer,
+    eventSubscription.metadata
+  );
+
+  if (!user) {
+    throw new Error(`No user found for subscription ${eventSubscription.id}`);
+  }
+
+  const current = user.subscription;
+  const currentEnded =
+    !current || ["canceled", "incomplete_expired"].includes(current.status);
+  if (current && current.id && current.id !== eventSubscription.id && !currentEnded) {
+    console.log(
+      `Ignoring subscription ${eventSubscription.id} for ${user.email}: current is ${current.id}`
+    );
+    return;
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(eventSubscription.id);
+  await applySubscriptionToUser(subscription);
+}
+
+// checkout.session.completed
+async function handleCheckoutCompleted(session) {
+  const usersCollection = getUsersCollection();
+  const userEmail =
+    (session.metadata && session.metadata.userEmail) || session.client_reference_id;
+
+  if (!userEmail) {
+    throw new Error(`No user email on checkout session ${session.id}`);
+  }
+
+  await recordCheckoutPayment(session, userEmail);
+  if (session.metadata && session.metadata.promoCodeId) {
+    await redeemPromoCode(
+      session.metadata.promoCodeId,
+      session.id,
+      session.metadata.promoReservationId
+    );
+  }
+
+  if (session.mode === "subscription") {
+    // Premium is granted now; later status changes arrive as subscription events
+    const subscription = await stripe.subscriptions.retrieve(session.subscription);
+    await usersCollection.updateOne(
+      { email: userEmail },
+      { $set: { stripeCustomerId: session.customer } }
+    );
+    await applySubscriptionToUser(subscription);
+    return;
+  }
+
+  const updateFields = { isPremium: true, premiumPlan: "lifetime", premiumGraceUntil: null };
+  if (session.customer) updateFields.stripeCustomerId = session.customer;
+
+  await usersCollection.updateOne({ email: userEmail }, { $set: updateFields });
+  console.log(`User ${userEmail} upgraded to premium`);
+}
+
+// invoice.payment_failed - start the grace period
+async function handleInvoicePaymentFailed(invoice) {
+  const usersCollection = getUsersCollection();
+  const user = await findUserForStripeObject(invoice.customer, invoice.metadata);
+
+  if (!user) {
+    throw new Error(`No user found for invoice ${invoice.id}`);
+  }
+  if (user.premiumPlan === "lifetime") return;
+
+  // Don't extend an existing grace period on every retry
+  const graceUntil = user.premiumGraceUntil ||
+    new Date(Date.now() + PREMIUM_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  await usersCollection.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        premiumGraceUntil: graceUntil,
+        "subscription.status": "past_due",
+        "subscription.lastPaymentFailedAt": new Date(),
+      },
+    }
+  );
+  console.log(`Payment failed for ${user.email}, premium grace until ${graceUntil.toISOString()}`);
+}
+
+/*
+ * PAYMENT RECORDS
+ * payments collection: { userEmail, stripeCustomerId, type: "one_time" | "subscription",
+ *   plan, amount, amountRefunded (minor units), currency, status: "paid" |
+ *   "partially_refunded" | "refunded" | "disputed", checkoutSessionId, invoiceId,
+ *   subscriptionId, paymentIntentId, chargeId, receiptUrl, invoicePdf, dispute,
+ *   createdAt (time paid), updatedAt }
+ * Subscription payments are keyed by invoice so the first invoice of a
+ * checkout and its invoice.paid event share one record.
+ */
+
+// Revoke premium when a payment is refunded/disputed (opt-in via env)
+const REVOKE_PREMIUM_ON_REFUND = process.env.REVOKE_PREMIUM_ON_REFUND === "true";
+const REVOKE_PREMIUM_ON_DISPUTE = process.env.REVOKE_PREMIUM_ON_DISPUTE === "true";
+
+// Insert or update a payment record matched by `key` (e.g. { invoiceId })
+async function upsertPayment(key, fields) {
+  const now = new Date();
+  const { createdAt, ...updateFields } = fields;
+  return getPaymentsCollection().findOneAndUpdate(
+    key,
+    {
+      $set: { ...updateFields, updatedAt: now },
+      $setOnInsert: {
+        status: "paid",
+        amountRefunded: 0,
+        dispute: null,
+        createdAt: createdAt || now,
+      },
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+}
+
+// Subscription ID and metadata from an invoice (older and newer API shapes)
+function getInvoiceSubscription(invoice) {
+  const details =
+    (invoice.parent && invoice.parent.subscription_details) ||
+    invoice.subscription_details ||
+    {};
+  const id = details.subscription || invoice.subscription || null;
+  return { id: typeof id === "string" ? id : id && id.id, metadata: details.metadata || {} };
+}
+
+// Record a completed Checkout session (one-time payments; subscriptions via their invoice)
+async function recordCheckoutPayment(session, userEmail) {
+  const metadata = session.metadata || {};
+  const base = {
+    userEmail,
+    stripeCustomerId: session.customer || null,
+    plan: metadata.plan || "lifetime",
+    planId: metadata.planId || null,
+    promoCode: metadata.promoCode || null,
+    discountAmount: parseInt(metadata.discount) || 0,
+    checkoutSessionId: session.id,
+    amount: session.amount_total,
+    currency: session.currency,
+    createdAt: new Date(session.created * 1000),
+  };
+
+  if (session.mode === "subscription") {
+    if (!session.invoice) return null;
+    return upsertPayment(
+      { invoiceId: session.invoice },
+      { ...base, type: "subscription", subscriptionId: session.subscription }
+    );
+  }
+
+  const fields = { ...base, type: "one_time", paymentIntentId: session.payment_intent };
+
+  // Receipt URL lives on the charge; a lookup failure must not fail the event
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(
+      session.payment_intent,
+      { expand: ["latest_charge"] }
+    );
+    if (paymentIntent.latest_charge) {
+      fields.chargeId = paymentIntent.latest_charge.id;
+      fields.receiptUrl = paymentIntent.latest_charge.receipt_url;
+    }
+  } catch (error) {
+    console.error("Error fetching payment receipt:", error.message);
+  }
+
+  return upsertPayment({ checkoutSessionId: session.id }, fields);
+}
+
+// invoice.paid - record the first and every renewal payment of a subscription
+async function handleInvoicePaid(invoice) {
+  const subscription = getInvoiceSubscription(invoice);
+  if (!subscription.id) return;
+
+  const user = await findUserForStripeObject(invoice.customer, subscription.metadata);
+  if (!user) {
+    throw new Error(`No user found for invoice ${invoice.id}`);
+  }
+
+  const line = invoice.lines && invoice.lines.data && invoice.lines.data[0];
+  const interval = line && line.price && line.price.recurring && line.price.recurring.interval;
+
+  await upsertPayment(
+    { invoiceId: invoice.id },
+    {
+      userEmail: user.email,
+      stripeCustomerId: invoice.customer,
+      type: "subscription",
+      plan: subscription.metadata.plan || (interval === "year" ? "yearly" : "monthly"),
+      subscriptionId: subscription.id,
+      amount: invoice.amount_paid,
+      currency: invoice.currency,
+      receiptUrl: invoice.hosted_invoice_url || null,
+      invoicePdf: invoice.invoice_pdf || null,
+      // Older API versions only; refunds also match by invoice
+      ...(invoice.payment_intent && { paymentIntentId: invoice.payment_intent }),
+      ...(invoice.charge && { chargeId: invoice.charge }),
+      createdAt: new Date(invoice.created * 1000),
+    }
+  );
+}
+
+// Find the payment a charge belongs to (payment intent, charge or invoice ID)
+async function findPaymentForCharge({ chargeId, paymentIntentId, invoiceId }) {
+  const or = [];
+  if (paymentIntentId) or.push({ paymentIntentId });
+  if (chargeId) or.push({ chargeId });
+  if (invoiceId) or.push({ invoiceId });
+  if (or.length === 0) return null;
+  return getPaymentsCollection().findOne({ $or: or });
+}
+
+// Remove premium after a refund or dispute; subscriptions are canceled so
+// later subscription events don't grant it back
+async function revokePremiumForPayment(payment, reason) {
+  if (payment.subscriptionId) {
+    try {
+      await stripe.subscriptions.cancel(payment.subscriptionId);
+    } catch (error) {
+      // Already canceled subscriptions can't be canceled again
+      if (error.code !== "resource_missing") throw error;
+    }
+  }
+
+  await getUsersCollection().updateOne(
+    { email: payment.userEmail },
+    {
+      $set: {
+        isPremium: false,
+        premiumPlan: null,
+        premiumGraceUntil: null,
+        premiumRevokedAt: new Date(),
+        premiumRevokedReason: reason,
+      },
+    }
+  );
+  console.log(`Premium revoked for ${payment.userEmail} (${reason})`);
+}
+
+// charge.refunded
+async function handleChargeRefunded(charge) {
+  const payment = await findPaymentForCharge({
+    chargeId: charge.id,
+    paymentIntentId: charge.payment_intent,
+    invoiceId: charge.invoice,
+  });
+
+  // Throw so the stored event is marked failed and can be replayed
+  if (!payment) {
+    throw new Error(`No payment found for refunded charge ${charge.id}`);
+  }
+
+  const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount;
+  const updated = await getPaymentsCollection().findOneAndUpdate(
+    { _id: payment._id },
+    {
+      $set: {
+        chargeId: charge.id,
+        amountRefunded: charge.amount_refunded,
+        status: fullyRefunded ? "refunded" : "partially_refunded",
+        refundedAt: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: "after" }
+  );
+
+  if (fullyRefunded && REVOKE_PREMIUM_ON_REFUND) {
+    await revokePremiumForPayment(updated, "refund");
+  }
+}
+
+// charge.dispute.created
+async function handleDisputeCreated(dispute) {
+  const chargeId = typeof dispute.charge === "string" ? dispute.charge : dispute.charge.id;
+  const payment = await findPaymentForCharge({
+    chargeId,
+    paymentIntentId: dispute.payment_intent,
+  });
+
+  if (!payment) {
+    throw new Error(`No payment found for disputed charge ${chargeId}`);
+  }
+
+  const updated = await getPaymentsCollection().findOneAndUpdate(
+    { _id: payment._id },
+    {
+      $set: {
+        chargeId,
+        status: "disputed",
+        dispute: {
+          id: dispute.id,
+          amount: dispute.amount,
+          reason: dispute.reason,
+          status: dispute.status,
+          createdAt: new Date(dispute.created * 1000),
+        },
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: "after" }
+  );
+
+  if (REVOKE_PREMIUM_ON_DISPUTE) {
+    await revokePremiumForPayment(updated, "dispute");
+  }
+}
+
+/*
+ * PRICE CATALOG
+ * plans collection: { key, name, description, amount (minor units), currency,
+ *   interval: "month" | "year" | null (one-time), regions: ["BD", ...] (empty = everywhere),
+ *   isActive, sortOrder, createdAt, updatedAt }
+ * promo_codes collection: { code (uppercase), description, percentOff | amountOff + currency,
+ *   planIds (empty = every plan), expiresAt, maxRedemptions, redemptions,
+ *   redeemedSessions, reservations: [{ id, expiresAt }], isActive, createdAt, updatedAt }
+ * A checkout with a limited code reserves a redemption when the session is
+ * created (open reservations count against maxRedemptions). Completion turns
+ * it into a redemption; session expiry releases it. Reservations also lapse
+ * on their own in case the expiry webhook never arrives.
+ */
+const CHECKOUT_SESSION_TTL_MS = 30 * 60 * 1000; // Stripe's minimum expires_at
+const PROMO_RESERVATION_TTL_MS = CHECKOUT_SESSION_TTL_MS + 24 * 60 * 60 * 1000;
+
+// Seed the plans collection from DEFAULT_PLANS the first time it is empty
+async function seedPlans() {
+  const plansCollection = db.collection("plans");
+  if ((await plansCollection.estimatedDocumentCount()) > 0) return;
+
+  let sortOrder = 0;
+  for (const [key, plan] of Object.entries(DEFAULT_PLANS)) {
+    await plansCollection.updateOne(
+      { key },
+      {
+        $setOnInsert: {
+          key,
+          ...plan,
+          regions: [],
+          isActive: true,
+          sortOrder: sortOrder++,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  }
+}
+
+// Country of the request: Vercel's geo header, else what the client sent
+function resolveRegion(req) {
+  const region =
+    req.get("x-vercel-ip-country") ||
+    (req.body && req.body.region) ||
+    req.query.region;
+  return typeof region === "string" && region ? region.toUpperCase() : null;
+}
+
+// Plans without regions are sold everywhere; unknown regions see every plan
+const isPlanAvailableIn = (plan, region) =>
+  !region || !plan.regions || plan.regions.length === 0 || plan.regions.includes(region);
+
+// Active plan for a checkout request: planId, legacy plan key, or the lifetime default
+async function findCheckoutPlan({ planId, plan }) {
+  const { ObjectId } = require("mongodb");
+  const filter = planId
+    ? { _id: new ObjectId(planId) }
+    : { key: plan || "lifetime" };
+  return getPlansCollection().findOne({ ...filter, isActive: true });
+}
+
+// Check a promotion code against a plan. Returns { promo, discount } or { error }.
+async function applyPromoCode(code, plan) {
+  const promo = await getPromoCodesCollection().findOne({
+    code: code.trim().toUpperCase(),
+    isActive: true,
+  });
+
+  if (!promo) {
+    return { error: "Invalid promotion code" };
+  }
+  if (promo.expiresAt && new Date(promo.expiresAt) <= new Date()) {
+    return { error: "Promotion code has expired" };
+  }
+  if (promo.maxRedemptions && promo.redemptions >= promo.maxRedemptions) {
+    return { error: "Promotion code has reached its usage limit" };
+  }
+  if (
+    promo.planIds &&
+    promo.planIds.length > 0 &&
+    !promo.planIds.some((id) => id.equals(plan._id))
+  ) {
+    return { error: "Promotion code does not apply to this plan" };
+  }
+  if (promo.amountOff && promo.currency !== plan.currency) {
+    return { error: "Promotion code does not apply to this currency" };
+  }
+
+  const discount = promo.percentOff
+    ? Math.round((plan.amount * promo.percentOff) / 100)
+    : Math.min(promo.amountOff, plan.amount);
+
+  if (plan.amount - discount < 1) {
+    return { error: "Promotion code cannot make this plan free" };
+  }
+  return { promo, discount };
+}
+
+/*
+ * Atomically reserve one use of a limited promotion code. Returns false when
+ * redemptions plus open reservations already reach maxRedemptions.
+ * Lapsed reservations are dropped in the same update.
+ */
+async function reservePromoRedemption(promo, reservationId) {
+  if (!promo.maxRedemptions) return true;
+
+  const now = new Date();
+  const openReservations = {
+    $filter: {
+      input: { $ifNull: ["$reservations", []] },
+      cond: { $gt: ["$$this.expiresAt", now] },
+    },
+  };
+  const result = await getPromoCodesCollection().updateOne(
+    {
+      _id: promo._id,
+      $expr: {
+        $lt: [
+          { $add: [{ $ifNull: ["$redemptions", 0] }, { $size: openReservations }] },
+          "$maxRedemptions",
+        ],
+      },
+    },
+    [
+      {
+        $set: {
+          reservations: {
+            $concatArrays: [
+              openReservations,
+              [{ id: reservationId, expiresAt: new Date(now.getTime() + PROMO_RESERVATION_TTL_MS) }],
+            ],
+          },
+          updatedAt: now,
+        },
+      },
+    ]
+  );
+  return result.modifiedCount === 1;
+}
+
+// Give back a reservation (checkout expired or could not be created)
+async function releasePromoReservation(promoCodeId, reservationId) {
+  const { ObjectId } = require("mongodb");
+  if (!promoCodeId || !ObjectId.isValid(promoCodeId) || !reservationId) return;
+  await getPromoCodesCollection().updateOne(
+    { _id: new ObjectId(promoCodeId) },
+    { $pull: { reservations: { id: reservationId } }, $set: { updatedAt: new Date() } }
+  );
+}
+
+// Count a redemption once per checkout session (safe when events are replayed)
+// and consume its reservation
+async function redeemPromoCode(promoCodeId, sessionId, reservationId) {
+  const { ObjectId } = require("mongodb");
+  if (!promoCodeId || !ObjectId.isValid(promoCodeId)) return;
+  await getPromoCodesCollection().updateOne(
+    { _id: new ObjectId(promoCodeId), redeemedSessions: { $ne: sessionId } },
+    {
+      $inc: { redemptions: 1 },
+      $push: { redeemedSessions: sessionId },
+      $set: { updatedAt: new Date() },
+    }
+  );
+  await releasePromoReservation(promoCodeId, reservationId);
+}
+
+// One Stripe coupon per promotion code, currency and amount, reused by every
+// discounted subscription checkout (usage limits are enforced by reservations)
+async function getPromoCoupon(promo, discount, currency) {
+  const couponId = `promo_${promo._id}_${currency}_${discount}`;
+  try {
+    return await stripe.coupons.retrieve(couponId);
+  } catch (error) {
+    if (error.code !== "resource_missing") throw error;
+  }
+
+  try {
+    return await stripe.coupons.create({
+      id: couponId,
+      amount_off: discount,
+      currency,
+      duration: "once",
+      name: promo.code,
+    });
+  } catch (error) {
+    // Created concurrently by another checkout
+    if (error.code !== "resource_already_exists") throw error;
+    return stripe.coupons.retrieve(couponId);
+  }
+}
+
+// checkout.session.expired - the customer never paid: free the promo reservation
+async function handleCheckoutExpired(session) {
+  const metadata = session.metadata || {};
+  await releasePromoReservation(metadata.promoCodeId, metadata.promoReservationId);
+}
+
+// Events currently being processed longer than this are considered abandoned
+const STRIPE_EVENT_LOCK_MS = 5 * 60 * 1000;
+
+// Run the business logic for a single Stripe event
+async function dispatchStripeEvent(event) {
+  switch (event.type) {
+    case "checkout.session.completed":
+      await handleCheckoutCompleted(event.data.object);
+      break;
+    case "checkout.session.expired":
+      await handleCheckoutExpired(event.data.object);
+      break;
+    case "customer.subscription.created":
+    case "customer.subscription.updated":
+    case "customer.subscription.deleted":
+      await handleSubscriptionEvent(event.data.object);
+      break;
+    case "invoice.payment_failed":
+      await handleInvoicePaymentFailed(event.data.object);
+      break;
+    case "invoice.paid":
+      await handleInvoicePaid(event.data.object);
+      break;
+    case "charge.refunded":
+      await handleChargeRefunded(event.data.object);
+      break;
+    case "charge.dispute.created":
+      await handleDisputeCreated(event.data.object);
+      break;
+    default:
+      break;
+  }
+}
+
+/*
+ * Claim and process a stored Stripe event.
+ * Only one worker can claim an event (pending/failed, or a stale "processing" lock),
+ * so duplicate deliveries never apply an event twice.
+ * Returns { status } - "processed", "failed", or "skipped" when not claimable.
+ */
+async function processStripeEvent(eventId, { allowProcessed = false } = {}) {
+  const stripeEventsCollection = getStripeEventsCollection();
+  const claimableStatuses = ["pending", "failed"];
+  if (allowProcessed) claimableStatuses.push("processed");
+
+  const eventDoc = await stripeEventsCollection.findOneAndUpdate(
+    {
+      _id: eventId,
+      $or: [
+        { status: { $in: claimableStatuses } },
+        {
+          status: "processing",
+          lockedAt: { $lt: new Date(Date.now() - STRIPE_EVENT_LOCK_MS) },
+        },
+      ],
+    },
+    {
+      $set: { status: "processing", lockedAt: new Date(), updatedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { returnDocument: "after" }
+  );
+
+  if (!eventDoc) {
+    return { status: "skipped" };
+  }
+
+  try {
+    await dispatchStripeEvent(eventDoc.payload);
+    await stripeEventsCollection.updateOne(
+      { _id: eventId },
+      {
+        $set: {
+          status: "processed",
+          lastError: null,
+          processedAt: new Date(),
+          updatedAt: new Date(),
+        },
+        $unset: { lockedAt: "" },
+      }
+    );
+    return { status: "processed" };
+  } catch (error) {
+    console.error(`Error processing Stripe event ${eventId}:`, error);
+    await stripeEventsCollection.updateOne(
+      { _id: eventId },
+      {
+        $set: {
+          status: "failed",
+          lastError: error.message,
+          failedAt: new Date(),
+          updatedAt: new Date(),
+        },
+        $unset: { lockedAt: "" },
+      }
+    );
+    return { status: "failed", error: error.message };
+  }
+}
+
+/*
+ * MEDIA STORAGE
+ * Lesson covers and profile photos are uploaded as multipart files, sniffed by
+ * their magic bytes, decoded, auto-rotated and re-encoded to WebP in a "full"
+ * and a "thumb" variant. Re-encoding drops EXIF/GPS metadata. Each upload is
+ * an asset document; lessons and profiles reference assets by ID and keep the
+ * variant URLs denormalised for reads. Files go to S3-compatible storage when
+ * S3_BUCKET is set, otherwise to local disk served from /uploads.
+ */
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES) || 5 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000; // Rejects decompression bombs
+const ASSET_GC_GRACE_HOURS = parseInt(process.env.ASSET_GC_GRACE_HOURS) || 24;
+
+// Variants per upload purpose (fit "inside" keeps the aspect ratio)
+const IMAGE_VARIANTS = {
+  lesson: {
+    full: { width: 1600, height: 1600, fit: "inside" },
+    thumb: { width: 480, height: 270, fit: "cover" },
+  },
+  profile: {
+    full: { width: 512, height: 512, fit: "cover" },
+    thumb: { width: 128, height: 128, fit: "cover" },
+  },
+};
+const UPLOAD_PURPOSES = Object.keys(IMAGE_VARIANTS);
+
+// Identify an image from its leading bytes, ignoring the client's Content-Type
+function sniffImageType(buffer) {
+  const startsWith = (bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte);
+
+  if (startsWith([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith([0x47, 0x49, 0x46, 0x38])) return "image/gif";
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) {
+    return "image/webp";
+  }
+  return null;
+}
+
+// Decode, orient and resize an upload into its WebP variants
+async function processImage(buffer, purpose) {
+  const sharp = require("sharp"); // Native module: only load it when needed
+  const variants = {};
+
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS[purpose])) {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+      .rotate()
+      .resize({ ...size, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+    variants[name] = { data, width: info.width, height: info.height, bytes: info.size };
+  }
+
+  return variants;
+}
+
+// Storage backend: { driver, put(key, data, contentType), remove(key), url(key) }
+function createStorage() {
+  if (process.env.S3_BUCKET) {
+    const {
+      S3Client,
+      PutObjectCommand,
+      DeleteObjectCommand,
+    } = require("@aws-sdk/client-s3");
+    const bucket = process.env.S3_BUCKET;
+    const region = process.env.S3_REGION || "us-east-1";
+    const s3 = new S3Client({
+      region,
+      endpoint: process.env.S3_ENDPOINT || undefined, // R2, MinIO, Spaces...
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+    const publicUrl = (
+      process.env.S3_PUBLIC_URL || `https://${bucket}.s3.${region}.amazonaws.com`
+    ).replace(/\/+$/, "");
+
+    return {
+      driver: "s3",
+      put: (key, data, contentType) =>
+        s3.send(
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: data,
+            ContentType: contentType,
+            CacheControl: "public, max-age=31536000, immutable",
+          })
+        ),
+      remove: (key) => s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+      url: (key) => `${publicUrl}/${key}`,
+    };
+  }
+
+  const path = require("path");
+  const fs = require("fs/promises");
+  const root = path.resolve(process.env.UPLOAD_DIR || "uploads");
+  const publicUrl = (
+    process.env.UPLOAD_PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 5000}/uploads`
+  ).replace(/\/+$/, "");
+
+  if (process.env.VERCEL) {
+    console.warn(
+      "Warning: S3_BUCKET is missing. Uploads on Vercel are written to ephemeral disk."
+    );
+  }
+
+  return {
+    driver: "local",
+    root,
+    put: async (key, data) => {
+      const file = path.join(root, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, data);
+    },
+    remove: (key) => fs.rm(path.join(root, key), { force: true }),
+    url: (key) => `${publicUrl}/${key}`,
+  };
+}
+
+const storage = createStorage();
+
+// Store every variant of a processed upload; removes partial writes on failure
+async function storeImageVariants(assetId, purpose, variants) {
+  const stored = {};
+  try {
+    for (const [name, variant] of Object.entries(variants)) {
+      const key = `${purpose}/${assetId}/${name}.webp`;
+      await storage.put(key, variant.data, "image/webp");
+      stored[name] = {
+        key,
+        url: storage.url(key),
+        width: variant.width,
+        height: variant.height,
+        bytes: variant.bytes,
+      };
+    }
+  } catch (error) {
+    await removeStoredFiles(Object.values(stored));
+    throw error;
+  }
+  return stored;
+}
+
+// Best-effort delete of stored variant files
+async function removeStoredFiles(variants) {
+  for (const variant of variants) {
+    try {
+      await storage.remove(variant.key);
+    } catch (error) {
+      console.error(`Error removing stored file ${variant.key}:`, error);
+    }
+  }
+}
+
 // Initialize Express app
 const app = express();
 
+// Behind Vercel's proxy: trust X-Forwarded-For so req.ip is the client address
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS) || 1);
+
 // Middleware
 app.use(
   cors({
@@ -44,7 +977,14 @@ app.use(
       }
     },
     credentials: true,
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Last-Event-ID"],
+    exposedHeaders: [
+      "RateLimit-Policy",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+    ],
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   })
 );
@@ -69,33 +1009,49 @@ app.post(
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle the checkout.session.completed event
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
-      const userEmail =
-        session.metadata.userEmail || session.client_reference_id;
+    try {
+      // Persist the event (de-duplicated by Stripe event ID)
+      const stripeEventsCollection = getStripeEventsCollection();
+      try {
+        await stripeEventsCollection.insertOne({
+          _id: event.id,
+          type: event.type,
+          livemode: event.livemode,
+          payload: event,
+          status: "pending",
+          attempts: 0,
+          lastError: null,
+          receivedAt: new Date(),
+          updatedAt: new Date(),
+        });
+      } catch (error) {
+        // 11000 = duplicate key: Stripe retry or duplicate delivery
+        if (error.code !== 11000) throw error;
+      }
 
-      if (userEmail) {
-        try {
-          const usersCollection = getUsersCollection();
-          await usersCollection.updateOne(
-            { email: userEmail },
-            { $set: { isPremium: true } }
-          );
-          console.log(`User ${userEmail} upgraded to premium`);
-        } catch (error) {
-          console.error("Error updating user premium status:", error);
-        }
+      const outcome = await processStripeEvent(event.id);
+
+      // Non-2xx makes Stripe retry the delivery later
+      if (outcome.status === "failed") {
+        return res.status(500).json({ received: true, status: "failed" });
       }
-    }
 
-    res.json({ received: true });
+      res.json({ received: true, status: outcome.status });
+    } catch (error) {
+      console.error("Error storing webhook event:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
 );
 
 // JSON parser for all other routes
 app.use(express.json());
 
+// Locally stored uploads (asset keys are unique, so files never change)
+if (storage.driver === "local") {
+  app.use("/uploads", express.static(storage.root, { immutable: true, maxAge: "365d" }));
+}
+
 // Initialize Firebase Admin SDK
 if (
   process.env.FIREBASE_PROJECT_ID &&
@@ -130,6 +1086,7 @@ async function connectDB() {
     await client.connect();
     db = client.db("rewise");
     console.log("Connected to MongoDB");
+    await ensureIndexes();
     return db;
   } catch (error) {
     console.error("MongoDB connection error:", error);
@@ -167,563 +1124,6071 @@ const getFavoritesCollection = () => {
   if (!db) throw new Error("Database not connected");
   return db.collection("favorites");
 };
+const getFollowsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("follows");
+};
+const getNotificationsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("notifications");
+};
+const getLiveEventsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("live_events");
+};
+const getLessonRevisionsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("lesson_revisions");
+};
+const getStripeEventsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("stripe_events");
+};
+const getTaxonomyCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("taxonomy");
+};
+const getRateLimitsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("rate_limits");
+};
+const getAuditLogCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("audit_log");
+};
+const getLessonLikesCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("lesson_likes");
+};
+const getPaymentsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("payments");
+};
+const getPlansCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("plans");
+};
+const getPromoCodesCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("promo_codes");
+};
+const getRecommendationsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("lesson_recommendations");
+};
+const getAssetsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("assets");
+};
+const getJobsCollection = () => {
+  if (!db) throw new Error("Database not connected");
+  return db.collection("jobs");
+};
 
-// JWT Verification Middleware
-async function verifyToken(req, res, next) {
+// Create indexes required by queries (safe to run on every cold start)
+async function ensureIndexes() {
   try {
-    const authHeader = req.headers.authorization;
+    // Capped collection backing SSE fan-out across instances
+    const liveEvents = await db
+      .listCollections({ name: "live_events" })
+      .toArray();
+    if (liveEvents.length === 0) {
+      try {
+        await db.createCollection("live_events", {
+          capped: true,
+          size: LIVE_EVENTS_CAPPED_BYTES,
+        });
+        // Tailable cursors need at least one document to start from
+        await db
+          .collection("live_events")
+          .insertOne({ channel: "system", event: "init", data: {}, createdAt: new Date() });
+      } catch (error) {
+        // 48 = NamespaceExists: another instance created it first
+        if (error.code !== 48) throw error;
+      }
+    }
+
+    // Full-text index used by GET /api/lessons?search=
+    await db.collection("lessons").createIndex(
+      {
+        title: "text",
+        description: "text",
+        category: "text",
+        emotionalTone: "text",
+      },
+      {
+        name: "lessons_text_search",
+        weights: { title: 10, category: 4, emotionalTone: 4, description: 1 },
+        default_language: "english",
+      }
+    );
+
+    // Threaded comment listing
+    await db
+      .collection("comments")
+      .createIndex({ lessonId: 1, parentId: 1, createdAt: -1 });
+    await db.collection("comments").createIndex({ rootId: 1, createdAt: 1 });
+
+    // Revision history lookups (one document per lesson revision)
+    await db
+      .collection("lesson_revisions")
+      .createIndex({ lessonId: 1, revision: -1 }, { unique: true });
+
+    // One follow per pair; followers/following listings
+    await db
+      .collection("follows")
+      .createIndex({ followerEmail: 1, followeeEmail: 1 }, { unique: true });
+    await db.collection("follows").createIndex({ followeeEmail: 1, createdAt: -1 });
+
+    // Notification center listing and unread counts
+    await db
+      .collection("notifications")
+      .createIndex({ recipientEmail: 1, isRead: 1, createdAt: -1 });
+
+    // Backfill legacy reports created before the status workflow
+    await db
+      .collection("reports")
+      .updateMany(
+        { status: { $exists: false } },
+        { $set: { status: "open", reasonCode: "other" } }
+      );
+
+    // Report queue and one-active-report-per-user lookups
+    await db.collection("reports").createIndex({ status: 1, createdAt: -1 });
+    await db
+      .collection("reports")
+      .createIndex({ reporterEmail: 1, lessonId: 1, commentId: 1, status: 1 });
+
+    // At most one active report per reporter and target, so concurrent
+    // requests can't both pass createReport's duplicate check. Anonymized
+    // reports (reporterEmail: null) are left out.
+    try {
+      await db.collection("reports").createIndex(
+        { reporterEmail: 1, lessonId: 1, commentId: 1 },
+        {
+          name: "reports_one_active_per_reporter",
+          unique: true,
+          partialFilterExpression: {
+            status: { $in: ACTIVE_REPORT_STATUSES },
+            reporterEmail: { $type: "string" },
+          },
+        }
+      );
+    } catch (error) {
+      // Existing duplicate active reports have to be resolved first
+      console.error("Error creating active report index:", error.message);
+    }
+
+    // Admin listing of failed/pending webhook events
+    await db
+      .collection("stripe_events")
+      .createIndex({ status: 1, receivedAt: -1 });
+
+    // Taxonomy entries: unique slug and (case-insensitive) name per kind
+    await db
+      .collection("taxonomy")
+      .createIndex({ kind: 1, slug: 1 }, { unique: true });
+    await db
+      .collection("taxonomy")
+      .createIndex(
+        { kind: 1, name: 1 },
+        { unique: true, collation: { locale: "en", strength: 2 } }
+      );
+    await seedTaxonomyFromLessons();
+
+    // Rendered HTML, excerpt and reading time for pre-Markdown lessons
+    await backfillLessonBodies();
+
+    // Tag filters, autocomplete and trending tags
+    await db.collection("lessons").createIndex({ tags: 1 });
+
+    // Rate limit counters expire with their window; admin lookups by identity
+    await db
+      .collection("rate_limits")
+      .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection("rate_limits").createIndex({ identity: 1, group: 1 });
+
+    // Audit log filters (actor, action, target) ordered by time
+    await db.collection("audit_log").createIndex({ createdAt: -1 });
+    await db.collection("audit_log").createIndex({ actorEmail: 1, createdAt: -1 });
+    await db.collection("audit_log").createIndex({ action: 1, createdAt: -1 });
+    await db
+      .collection("audit_log")
+      .createIndex({ targetType: 1, targetId: 1, createdAt: -1 });
+
+    // Timestamped likes (lessons.likes only holds emails) for metrics
+    await db
+      .collection("lesson_likes")
+      .createIndex({ lessonId: 1, userEmail: 1 }, { unique: true });
+    await db.collection("lesson_likes").createIndex({ createdAt: 1 });
+
+    // Payment history and webhook lookups (sparse: not every payment has every ID)
+    await db.collection("payments").createIndex({ userEmail: 1, createdAt: -1 });
+    await db.collection("payments").createIndex({ createdAt: -1 });
+    for (const field of ["checkoutSessionId", "invoiceId"]) {
+      await db
+        .collection("payments")
+        .createIndex({ [field]: 1 }, { unique: true, sparse: true });
+    }
+    for (const field of ["paymentIntentId", "chargeId"]) {
+      await db.collection("payments").createIndex({ [field]: 1 }, { sparse: true });
+    }
+
+    // Price catalog and promotion codes
+    await db.collection("plans").createIndex({ key: 1 }, { unique: true });
+    await db.collection("promo_codes").createIndex({ code: 1 }, { unique: true });
+    await seedPlans();
+
+    // Uploaded assets per owner, and reference lookups for garbage collection
+    await db.collection("assets").createIndex({ ownerEmail: 1, createdAt: -1 });
+    await db.collection("assets").createIndex({ createdAt: 1 });
+    await db.collection("lessons").createIndex({ imageAssetId: 1 }, { sparse: true });
+    await db.collection("users").createIndex({ photoAssetId: 1 }, { sparse: true });
+    await db
+      .collection("lesson_revisions")
+      .createIndex({ "snapshot.imageAssetId": 1 }, { sparse: true });
+
+    // Background job listing and worker pickup
+    await db.collection("jobs").createIndex({ createdAt: -1 });
+    await db.collection("jobs").createIndex({ status: 1, lockedUntil: 1 });
+  } catch (error) {
+    console.error("Error creating indexes:", error);
+  }
+}
+
+/*
+ * SEARCH HELPERS
+ */
+
+// Escape a string for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Escape HTML so snippets can be rendered safely with <mark> tags
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Extract positive phrases and words from a $text search string
+// e.g. 'grief "letting go" -anger' => ['letting go', 'grief']
+function parseSearchTerms(search) {
+  const withoutExcluded = search.replace(/-"[^"]*"/g, " ");
+  const phrases = [...withoutExcluded.matchAll(/"([^"]+)"/g)]
+    .map((match) => match[1].trim())
+    .filter(Boolean);
+  const words = withoutExcluded
+    .replace(/"[^"]*"/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"));
+  return [...phrases, ...words];
+}
+
+// Build a regex that matches search terms loosely (naive stemming for highlights)
+function buildHighlightRegex(terms) {
+  const patterns = terms.map((term) => {
+    if (/\s/.test(term)) return escapeRegex(term);
+    const stem = term.toLowerCase().replace(/(ing|ed|es|s|ly)$/, "");
+    return `${escapeRegex(stem.length >= 3 ? stem : term)}\\w*`;
+  });
+  if (patterns.length === 0) return null;
+  return new RegExp(`\\b(${patterns.join("|")})`, "gi");
+}
+
+// Wrap matches in <mark>, returning an escaped HTML string
+function highlightText(text, regex) {
+  if (!text || !regex) return text ? escapeHtml(text) : "";
+  let result = "";
+  let lastIndex = 0;
+  for (const match of text.matchAll(regex)) {
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(lastIndex));
+}
+
+// Truncate text at a word boundary, adding an ellipsis when shortened
+function truncateText(text, maxLength) {
+  if (!text || text.length <= maxLength) return text || "";
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : cut).trimEnd() + "…";
+}
+
+// Build a short snippet around the first match in text
+function buildSnippet(text, regex, radius = 80) {
+  if (!text) return "";
+  regex.lastIndex = 0;
+  const match = regex.exec(text);
+  regex.lastIndex = 0;
+
+  if (!match) {
+    const head = text.slice(0, radius * 2);
+    return escapeHtml(head) + (text.length > head.length ? "…" : "");
+  }
+
+  const start = Math.max(0, match.index - radius);
+  const end = Math.min(text.length, match.index + match[0].length + radius);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  return prefix + highlightText(text.slice(start, end), regex) + suffix;
+}
+
+/*
+ * LESSON ACCESS HELPERS
+ */
+const LESSON_VISIBILITIES = ["public", "private", "draft"];
+
+// Lessons shown in public listings: public, not auto-hidden, and not scheduled
+// for later. Scheduled lessons appear automatically once publishAt has passed.
+const publicLessonFilter = () => ({
+  visibility: "public",
+  isHidden: { $ne: true },
+  publishAt: { $not: { $gt: new Date() } },
+});
+
+// Publication state: "draft" | "private" | "scheduled" | "published"
+function getLessonStatus(lesson, now = new Date()) {
+  if (lesson.visibility === "draft") return "draft";
+  if (lesson.visibility === "private") return "private";
+  if (lesson.publishAt && new Date(lesson.publishAt) > now) return "scheduled";
+  return "published";
+}
+
+// Parse publishAt from a request body: undefined (not sent), null (clear), a Date, or { error }
+function parsePublishAt(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: "Invalid publishAt date" };
+  }
+  return date;
+}
+
+// Whether a viewer ({ email, role, isPremium } or null) can read a lesson's full content
+function canViewLesson(lesson, viewer) {
+  const isCreator = !!viewer && lesson.creatorEmail === viewer.email;
+  const isAdmin = !!viewer && viewer.role === "admin";
+
+  if (isCreator || isAdmin) return true;
+  if (getLessonStatus(lesson) !== "published") return false;
+  if (lesson.accessLevel === "premium" && !(viewer && viewer.isPremium)) {
+    return false;
+  }
+  return true;
+}
+
+/*
+ * TAXONOMY HELPERS
+ */
+// Taxonomy kinds and the lesson field each one controls
+const TAXONOMY_FIELDS = { category: "category", tone: "emotionalTone" };
+
+// "Personal Growth!" => "personal-growth"
+const slugify = (value) =>
+  String(value)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Find a taxonomy entry by slug or (case-insensitive) display name
+async function findTaxonomyEntry(kind, value, { activeOnly = false } = {}) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const filter = {
+    kind,
+    $or: [
+      { slug: slugify(value) },
+      { name: { $regex: `^${escapeRegex(value.trim())}$`, $options: "i" } },
+    ],
+  };
+  if (activeOnly) filter.isActive = true;
+  return getTaxonomyCollection().findOne(filter);
+}
+
+// Resolve category/emotionalTone from a request body to canonical taxonomy names.
+// Returns { fields, errors } where errors use the 422 validation shape.
+async function resolveLessonTaxonomy(body) {
+  const fields = {};
+  const errors = [];
+
+  for (const [kind, field] of Object.entries(TAXONOMY_FIELDS)) {
+    if (!body[field]) continue;
+    const entry = await findTaxonomyEntry(kind, body[field], { activeOnly: true });
+    if (!entry) {
+      errors.push({
+        location: "body",
+        field,
+        code: "enum",
+        message: `${field} must be an active ${kind} from GET /api/taxonomy`,
+      });
+    } else {
+      fields[field] = entry.name;
+    }
+  }
+
+  return { fields, errors };
+}
+
+// Value to filter lessons by: the entry's name when the query matches a slug or name
+async function taxonomyFilterValue(kind, value) {
+  const entry = await findTaxonomyEntry(kind, value);
+  return entry ? entry.name : value;
+}
+
+// Seed the taxonomy from existing lesson values the first time it is empty,
+// folding case/spacing variants ("career", "Career ") into one canonical name
+async function seedTaxonomyFromLessons() {
+  const taxonomyCollection = db.collection("taxonomy");
+  if ((await taxonomyCollection.estimatedDocumentCount()) > 0) return;
+
+  const lessonsCollection = db.collection("lessons");
+  for (const [kind, field] of Object.entries(TAXONOMY_FIELDS)) {
+    const values = await lessonsCollection.distinct(field);
+    const bySlug = new Map();
+
+    for (const value of values) {
+      if (typeof value !== "string" || !slugify(value)) continue;
+      const slug = slugify(value);
+      if (!bySlug.has(slug)) bySlug.set(slug, { name: value.trim(), variants: [] });
+      bySlug.get(slug).variants.push(value);
+    }
+
+    let sortOrder = 0;
+    for (const [slug, { name, variants }] of bySlug) {
+      await taxonomyCollection.updateOne(
+        { kind, slug },
+        {
+          $setOnInsert: {
+            kind,
+            slug,
+            name,
+            description: "",
+            icon: "",
+            sortOrder: sortOrder++,
+            isActive: true,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+      const others = variants.filter((variant) => variant !== name);
+      if (others.length > 0) {
+        await lessonsCollection.updateMany(
+          { [field]: { $in: others } },
+          { $set: { [field]: name } }
+        );
+      }
+    }
+  }
+}
+
+/*
+ * TAG HELPERS
+ * Lessons carry free-form tags normalized to lowercase slugs ("Self Care" => "self-care").
+ */
+const MAX_LESSON_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Normalize one tag; returns "" when nothing usable is left
+const normalizeTag = (value) =>
+  String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_TAG_LENGTH)
+    .replace(/-+$/, "");
+
+// Normalize and de-duplicate a list of tags (order kept)
+const normalizeTags = (values) => [
+  ...new Set((values || []).map(normalizeTag).filter((tag) => tag.length >= 2)),
+];
+
+// Lesson filter for ?tags=a,b&tagMatch=any|all (null when no usable tags)
+function buildTagFilter(tagsParam, tagMatch = "any") {
+  if (!tagsParam) return null;
+  const tags = normalizeTags(String(tagsParam).split(","));
+  if (tags.length === 0) return null;
+  return { tags: tagMatch === "all" ? { $all: tags } : { $in: tags } };
+}
+
+/*
+ * ASSET HELPERS
+ * An asset is referenced by lessons.imageAssetId, users.photoAssetId or a
+ * lesson revision snapshot (so restores keep working). Anything else older
+ * than ASSET_GC_GRACE_HOURS is garbage-collected.
+ */
+
+// Public shape of an asset returned to clients
+const formatAsset = (asset) => ({
+  _id: asset._id,
+  purpose: asset.purpose,
+  url: asset.variants.full.url,
+  thumbnailUrl: asset.variants.thumb.url,
+  width: asset.variants.full.width,
+  height: asset.variants.full.height,
+  createdAt: asset.createdAt,
+});
+
+// Denormalised fields stored on the referencing document ("" / null clear them)
+const imageAssetFields = (field, asset) => ({
+  [field]: asset ? asset.variants.full.url : "",
+  [`${field}Thumbnail`]: asset ? asset.variants.thumb.url : "",
+  [`${field}AssetId`]: asset ? asset._id : null,
+});
+
+/*
+ * Resolve an uploaded asset ID sent in a request body.
+ * Returns { asset } (null when the client clears the field) or { error } in
+ * the validation error shape when the ID is not one of ownerEmails' uploads.
+ */
+async function resolveImageAsset(value, { field, purpose, ownerEmails }) {
+  const { ObjectId } = require("mongodb");
+  if (value === "" || value === null) return { asset: null };
+
+  const asset = await getAssetsCollection().findOne({
+    _id: new ObjectId(value),
+    purpose,
+    ownerEmail: { $in: ownerEmails },
+  });
+  if (!asset) {
+    return {
+      error: {
+        location: "body",
+        field,
+        code: "not_found",
+        message: `${field} must be the ID of a ${purpose} image uploaded via POST /api/uploads/${purpose}`,
+      },
+    };
+  }
+  return { asset };
+}
+
+// True when any lesson, profile or revision still points at the asset
+async function isAssetReferenced(assetId) {
+  const [lesson, user, revision] = await Promise.all([
+    getLessonsCollection().findOne({ imageAssetId: assetId }, { projection: { _id: 1 } }),
+    getUsersCollection().findOne({ photoAssetId: assetId }, { projection: { _id: 1 } }),
+    getLessonRevisionsCollection().findOne(
+      { "snapshot.imageAssetId": assetId },
+      { projection: { _id: 1 } }
+    ),
+  ]);
+  return Boolean(lesson || user || revision);
+}
+
+// Delete unreferenced assets past the grace period (at most `limit` per run)
+async function collectUnusedAssets({ dryRun = false, limit = 500 } = {}) {
+  const assetsCollection = getAssetsCollection();
+  const cutoff = new Date(Date.now() - ASSET_GC_GRACE_HOURS * 60 * 60 * 1000);
+
+  const [lessonRefs, userRefs, revisionRefs] = await Promise.all([
+    getLessonsCollection().distinct("imageAssetId"),
+    getUsersCollection().distinct("photoAssetId"),
+    getLessonRevisionsCollection().distinct("snapshot.imageAssetId"),
+  ]);
+  const referenced = [...lessonRefs, ...userRefs, ...revisionRefs].filter(Boolean);
+
+  const candidates = await assetsCollection
+    .find({ _id: { $nin: referenced }, createdAt: { $lt: cutoff } })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  const sizeOf = (asset) =>
+    Object.values(asset.variants).reduce((sum, variant) => sum + variant.bytes, 0);
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      cutoff,
+      count: candidates.length,
+      bytes: candidates.reduce((sum, asset) => sum + sizeOf(asset), 0),
+    };
+  }
+
+  let removed = 0;
+  let bytes = 0;
+  for (const asset of candidates) {
+    // Re-check: the asset may have been attached since the scan
+    if (await isAssetReferenced(asset._id)) continue;
+
+    await removeStoredFiles(Object.values(asset.variants));
+    await assetsCollection.deleteOne({ _id: asset._id });
+    removed += 1;
+    bytes += sizeOf(asset);
+  }
+
+  return { cutoff, removed, bytes };
+}
+
+// Garbage-collect assets unless another instance is already doing it
+const runAssetGarbageCollection = () =>
+  withJobLock("assets-gc", 15 * 60 * 1000, () => collectUnusedAssets());
+
+/*
+ * COMMENT HELPERS
+ */
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_COMMENT_DEPTH = 3; // Replies deeper than this attach to the parent's parent
+
+// Nest replies under their parent comments (replies sorted oldest first)
+function buildCommentTree(rootComments, replies) {
+  const nodes = new Map();
+  const roots = rootComments.map((comment) => {
+    const node = { ...comment, replies: [] };
+    nodes.set(comment._id.toString(), node);
+    return node;
+  });
+
+  for (const reply of replies) {
+    nodes.set(reply._id.toString(), { ...reply, replies: [] });
+  }
+  for (const reply of replies) {
+    const parent = nodes.get(reply.parentId.toString());
+    if (parent) parent.replies.push(nodes.get(reply._id.toString()));
+  }
+
+  return roots;
+}
+
+/*
+ * REPORT HELPERS
+ */
+
+// Structured reason codes (code -> display label)
+const REPORT_REASONS = {
+  spam: "Spam or advertising",
+  harassment: "Harassment or bullying",
+  hate_speech: "Hate speech",
+  misinformation: "False or misleading information",
+  inappropriate: "Inappropriate or explicit content",
+  self_harm: "Self-harm or dangerous content",
+  copyright: "Copyright infringement",
+  other: "Other",
+};
+
+// Report workflow: open -> in_review -> actioned | dismissed
+const ACTIVE_REPORT_STATUSES = ["open", "in_review"];
+const REPORT_TRANSITIONS = {
+  open: ["in_review", "actioned", "dismissed"],
+  in_review: ["open", "actioned", "dismissed"],
+  actioned: [],
+  dismissed: [],
+};
+
+// Open lesson reports needed to hide a lesson from the public listing
+const REPORT_AUTO_HIDE_THRESHOLD =
+  parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5;
+
+// Only count reports against the lesson itself (not its comments)
+const lessonReportFilter = (lessonId) => ({
+  lessonId,
+  targetType: { $ne: "comment" },
+});
+
+// Normalize { reasonCode, reason } from the request body
+// Legacy clients only send free-text `reason`, which maps to a code or "other"
+function parseReportReason({ reasonCode, reason }) {
+  let code = typeof reasonCode === "string" ? reasonCode.trim().toLowerCase() : "";
+  const details = typeof reason === "string" ? reason.trim() : "";
+
+  if (!code && details) {
+    code = REPORT_REASONS[details.toLowerCase()] ? details.toLowerCase() : "other";
+  }
+
+  if (!code) {
+    return { error: "Report reason is required" };
+  }
+  if (!REPORT_REASONS[code]) {
+    return { error: "Invalid reason code" };
+  }
+  if (code === "other" && !details) {
+    return { error: "Please describe the reason for this report" };
+  }
+  return { reasonCode: code, details };
+}
+
+// Create a report unless the user already has an active one for the same target
+// Returns { report } or { duplicate: true, report }
+async function createReport({ targetType, lessonId, commentId = null, reasonCode, details, reporterEmail }) {
+  const reportsCollection = getReportsCollection();
+
+  const activeFilter = {
+    reporterEmail,
+    lessonId,
+    commentId,
+    status: { $in: ACTIVE_REPORT_STATUSES },
+  };
+  const existing = await reportsCollection.findOne(activeFilter);
+  if (existing) {
+    return { duplicate: true, report: existing };
+  }
+
+  const now = new Date();
+  const report = {
+    targetType,
+    lessonId,
+    commentId,
+    reasonCode,
+    reason: details,
+    reporterEmail,
+    status: "open",
+    reviewerEmail: null,
+    resolvedBy: null,
+    resolutionNotes: "",
+    reviewStartedAt: null,
+    resolvedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    const result = await reportsCollection.insertOne(report);
+    report._id = result.insertedId;
+  } catch (error) {
+    // 11000 = duplicate key: a concurrent request created the active report
+    if (error.code !== 11000) throw error;
+    const duplicate = await reportsCollection.findOne(activeFilter);
+    return { duplicate: true, report: duplicate || report };
+  }
+
+  if (targetType === "lesson") {
+    await applyReportAutoHide(lessonId);
+  }
+
+  return { report };
+}
+
+// Hide a lesson once its active reports reach the threshold
+async function applyReportAutoHide(lessonId) {
+  const activeReports = await getReportsCollection().countDocuments({
+    ...lessonReportFilter(lessonId),
+    status: { $in: ACTIVE_REPORT_STATUSES },
+  });
+
+  if (activeReports >= REPORT_AUTO_HIDE_THRESHOLD) {
+    const result = await getLessonsCollection().updateOne(
+      { _id: lessonId, isHidden: { $ne: true } },
+      { $set: { isHidden: true, hiddenReason: "reports", hiddenAt: new Date() } }
+    );
+    if (result.modifiedCount > 0) {
+      await publishLiveEvent(`lesson:${lessonId}`, "lesson.moderation", {
+        lessonId,
+        isHidden: true,
+        hiddenReason: "reports",
+      });
+    }
+  }
+}
+
+/*
+ * LESSON BODY
+ * description holds the lesson's Markdown source. Every write also stores the
+ * rendered, sanitized HTML (descriptionHtml), a plain-text excerpt, the word
+ * count and an estimated reading time. Raw HTML in the source is escaped,
+ * not rendered; the sanitizer is a second line of defence.
+ */
+const LESSON_EXCERPT_LENGTH = 240;
+const READING_WORDS_PER_MINUTE = 200;
+
+// Body fields left out of list responses (lists carry `excerpt` instead)
+const LESSON_BODY_FIELDS = { description: 0, descriptionHtml: 0 };
+
+// List excerpt for a viewer: premium lessons they can't open are cut to the
+// premium preview length (no excerpt when PREMIUM_PREVIEW_LENGTH is 0)
+function lessonListExcerpt(lesson, viewer) {
+  if (lesson.accessLevel !== "premium" || canViewLesson(lesson, viewer)) {
+    return lesson.excerpt;
+  }
+  return PREMIUM_PREVIEW_LENGTH > 0
+    ? truncateText(lesson.excerpt, PREMIUM_PREVIEW_LENGTH)
+    : "";
+}
+
+// Apply lessonListExcerpt to lessons fetched with LESSON_BODY_FIELDS
+const withListExcerpts = (lessons, viewer) =>
+  lessons.map((lesson) => ({ ...lesson, excerpt: lessonListExcerpt(lesson, viewer) }));
+
+// breaks: single newlines become <br>, so plain-text lessons keep their layout
+const markdown = new MarkdownIt({ html: false, linkify: true, breaks: true });
+
+const TABLE_CELL_STYLES = { "text-align": [/^(left|right|center)$/] };
+const LESSON_HTML_OPTIONS = {
+  allowedTags: [
+    "h1", "h2", "h3", "h4", "h5", "h6", "p", "br", "hr", "blockquote",
+    "ul", "ol", "li", "strong", "em", "s", "code", "pre", "a",
+    "table", "thead", "tbody", "tr", "th", "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    ol: ["start"],
+    th: ["style"],
+    td: ["style"],
+  },
+  allowedStyles: { th: TABLE_CELL_STYLES, td: TABLE_CELL_STYLES },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", {
+      rel: "nofollow noopener noreferrer",
+      target: "_blank",
+    }),
+  },
+};
+
+// Plain text of a Markdown document (image alt text and markup dropped)
+function markdownToText(source) {
+  const parts = [];
+  for (const token of markdown.parse(source || "", {})) {
+    if (token.type === "inline") {
+      for (const child of token.children) {
+        if (child.type === "text" || child.type === "code_inline") {
+          parts.push(child.content);
+        } else if (child.type === "softbreak" || child.type === "hardbreak") {
+          parts.push(" ");
+        }
+      }
+      parts.push(" ");
+    } else if (token.type === "fence" || token.type === "code_block") {
+      parts.push(token.content, " ");
+    }
+  }
+  return parts.join("").replace(/\s+/g, " ").trim();
+}
+
+// Derived fields stored alongside a lesson's Markdown description
+function renderLessonBody(source) {
+  const text = markdownToText(source);
+  const wordCount = text ? text.split(" ").length : 0;
+
+  return {
+    descriptionHtml: sanitizeHtml(markdown.render(source || ""), LESSON_HTML_OPTIONS),
+    excerpt: truncateText(text, LESSON_EXCERPT_LENGTH),
+    wordCount,
+    readingTimeMinutes: wordCount > 0 ? Math.ceil(wordCount / READING_WORDS_PER_MINUTE) : 0,
+  };
+}
+
+// Render lessons written before Markdown support (no-op once all are done)
+async function backfillLessonBodies() {
+  const lessonsCollection = db.collection("lessons");
+  const cursor = lessonsCollection.find(
+    { descriptionHtml: { $exists: false } },
+    { projection: { description: 1 } }
+  );
+
+  let batch = [];
+  for await (const lesson of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: lesson._id },
+        update: { $set: renderLessonBody(lesson.description) },
+      },
+    });
+    if (batch.length === 500) {
+      await lessonsCollection.bulkWrite(batch, { ordered: false });
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await lessonsCollection.bulkWrite(batch, { ordered: false });
+  }
+}
+
+/*
+ * LESSON REVISION HELPERS
+ * Every change to a versioned field writes an immutable revision holding the
+ * editor, the previous values and a snapshot of all versioned fields after the edit.
+ */
+const LESSON_CONTENT_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "emotionalTone",
+  "image",
+  "imageThumbnail",
+  "imageAssetId",
+  "visibility",
+  "accessLevel",
+  "publishAt",
+  "tags",
+];
+const LESSON_VERSIONED_FIELDS = [
+  ...LESSON_CONTENT_FIELDS,
+  "isFeatured",
+  "isReviewed",
+  "isHidden",
+];
+
+// Pick a subset of fields from a document (missing fields become null)
+const pickFields = (doc, fields) =>
+  Object.fromEntries(fields.map((field) => [field, doc[field] ?? null]));
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Versioned fields an update would actually change (no change = no revision)
+const getChangedLessonFields = (lesson, updateFields) =>
+  LESSON_VERSIONED_FIELDS.filter(
+    (field) => field in updateFields && !isSameValue(lesson[field], updateFields[field])
+  );
+
+// Lessons created before revisions existed get a baseline revision 0 on first edit
+async function ensureBaselineRevision(lesson) {
+  if (lesson.revision !== undefined) return;
+
+  await getLessonRevisionsCollection().updateOne(
+    { lessonId: lesson._id, revision: 0 },
+    {
+      $setOnInsert: {
+        lessonId: lesson._id,
+        revision: 0,
+        source: "baseline",
+        editorEmail: null,
+        editorRole: null,
+        changedFields: [],
+        previous: {},
+        snapshot: pickFields(lesson, LESSON_VERSIONED_FIELDS),
+        createdAt: lesson.createdAt || new Date(),
+      },
+    },
+    { upsert: true }
+  );
+}
+
+/*
+ * Apply an update to a lesson and record a revision for the changed versioned fields.
+ * editor: { email, role } of the user making the change.
+ * Returns { lesson, revision } (revision is null when nothing changed).
+ */
+async function updateLessonWithRevision(lesson, updateFields, editor, options = {}) {
+  const { source = "update", restoredFrom = null } = options;
+  const lessonsCollection = getLessonsCollection();
+
+  const changedFields = getChangedLessonFields(lesson, updateFields);
+
+  if (changedFields.length === 0) {
+    return { lesson, revision: null };
+  }
+
+  await ensureBaselineRevision(lesson);
+
+  // A new Markdown body re-renders its HTML, excerpt and reading time
+  const bodyFields =
+    "description" in updateFields ? renderLessonBody(updateFields.description) : {};
+
+  const now = new Date();
+  const updated = await lessonsCollection.findOneAndUpdate(
+    { _id: lesson._id },
+    { $set: { ...updateFields, ...bodyFields, updatedAt: now }, $inc: { revision: 1 } },
+    { returnDocument: "after" }
+  );
+
+  const revision = {
+    lessonId: lesson._id,
+    revision: updated.revision,
+    source,
+    editorEmail: editor.email,
+    editorRole: lesson.creatorEmail === editor.email ? "creator" : editor.role,
+    changedFields,
+    previous: pickFields(lesson, changedFields),
+    snapshot: pickFields(updated, LESSON_VERSIONED_FIELDS),
+    restoredFrom,
+    createdAt: now,
+  };
+
+  await getLessonRevisionsCollection().insertOne(revision);
+
+  return { lesson: updated, revision };
+}
+
+// Push a revision to viewers of the lesson ("lesson.moderation" when
+// publication/moderation fields changed, "lesson.updated" otherwise)
+const LESSON_MODERATION_FIELDS = ["visibility", "publishAt", "isHidden", "isFeatured", "isReviewed"];
+async function publishLessonRevision(lesson, updateFields, revision) {
+  const event = revision.changedFields.some((f) => LESSON_MODERATION_FIELDS.includes(f))
+    ? "lesson.moderation"
+    : "lesson.updated";
+  await publishLiveEvent(`lesson:${lesson._id}`, event, {
+    lessonId: lesson._id,
+    changedFields: revision.changedFields,
+    status: getLessonStatus({ ...lesson, ...updateFields }),
+    ...pickFields(revision.snapshot, LESSON_MODERATION_FIELDS),
+  });
+}
+
+// Line-based diff (LCS) for long text fields. Common leading and trailing
+// lines are matched directly; when the rest would need more than
+// DIFF_MAX_CELLS table cells it is reported as removed then added instead.
+const DIFF_MAX_CELLS = 250000;
+function diffLines(before, after) {
+  const a = (before || "").split("\n");
+  const b = (after || "").split("\n");
+
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
+
+  const changes = a.slice(0, head).map((text) => ({ type: "equal", text }));
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+
+  if ((midA.length + 1) * (midB.length + 1) > DIFF_MAX_CELLS) {
+    for (const text of midA) changes.push({ type: "removed", text });
+    for (const text of midB) changes.push({ type: "added", text });
+  } else {
+    const lcs = Array.from({ length: midA.length + 1 }, () =>
+      new Array(midB.length + 1).fill(0)
+    );
+
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] =
+          midA[i] === midB[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        changes.push({ type: "equal", text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        changes.push({ type: "removed", text: midA[i++] });
+      } else {
+        changes.push({ type: "added", text: midB[j++] });
+      }
+    }
+    while (i < midA.length) changes.push({ type: "removed", text: midA[i++] });
+    while (j < midB.length) changes.push({ type: "added", text: midB[j++] });
+  }
+
+  for (const text of a.slice(a.length - tail)) changes.push({ type: "equal", text });
+  return changes;
+}
+
+// Field-level diff between two revision snapshots
+function diffSnapshots(fromSnapshot, toSnapshot) {
+  return LESSON_VERSIONED_FIELDS.filter(
+    (field) => !isSameValue(fromSnapshot[field], toSnapshot[field])
+  ).map((field) => {
+    const change = {
+      field,
+      from: fromSnapshot[field] ?? null,
+      to: toSnapshot[field] ?? null,
+    };
+    if (field === "description") {
+      change.lines = diffLines(change.from, change.to);
+    }
+    return change;
+  });
+}
+
+/*
+ * NOTIFICATION HELPERS
+ */
+
+// Notification types (users can opt out per type via preferences)
+const NOTIFICATION_TYPES = [
+  "lesson_liked",
+  "lesson_favorited",
+  "lesson_commented",
+  "comment_replied",
+  "report_resolved",
+  "lesson_featured",
+];
+
+// Build the display message for a notification
+function buildNotificationMessage(type, actorName, data) {
+  const title = data.lessonTitle ? `"${data.lessonTitle}"` : "your lesson";
+  switch (type) {
+    case "lesson_liked":
+      return `${actorName} liked ${title}`;
+    case "lesson_favorited":
+      return `${actorName} saved ${title} to favorites`;
+    case "lesson_commented":
+      return `${actorName} commented on ${title}`;
+    case "comment_replied":
+      return `${actorName} replied to your comment on ${title}`;
+    case "report_resolved":
+      return `Your report on ${title} was ${data.status}`;
+    case "lesson_featured":
+      return `${title} is now featured`;
+    default:
+      return "You have a new notification";
+  }
+}
+
+/*
+ * Record a notification for recipientEmail.
+ * Skips self-notifications and types the recipient has turned off.
+ * Never throws: a failed notification must not fail the action that triggered it.
+ */
+async function notify({ recipientEmail, actorEmail = null, type, lessonId = null, commentId = null, reportId = null, data = {} }) {
+  try {
+    if (!recipientEmail || recipientEmail === actorEmail) return null;
+
+    const usersCollection = getUsersCollection();
+    const recipient = await usersCollection.findOne(
+      { email: recipientEmail },
+      { projection: { notificationPreferences: 1 } }
+    );
+    if (!recipient) return null;
+
+    const preferences = recipient.notificationPreferences || {};
+    if (preferences[type] === false) return null;
+
+    const actor = actorEmail
+      ? await usersCollection.findOne(
+          { email: actorEmail },
+          { projection: { name: 1, photo: 1 } }
+        )
+      : null;
+    const actorName = actor ? actor.name : "Someone";
+
+    const notification = {
+      recipientEmail,
+      type,
+      actorEmail,
+      actorName,
+      actorPhoto: actor ? actor.photo : "",
+      lessonId,
+      commentId,
+      reportId,
+      message: buildNotificationMessage(type, actorName, data),
+      data,
+      isRead: false,
+      readAt: null,
+      createdAt: new Date(),
+    };
+
+    const result = await getNotificationsCollection().insertOne(notification);
+    notification._id = result.insertedId;
+
+    await publishLiveEvent(`user:${recipientEmail}`, "notification", notification);
+    return notification;
+  } catch (error) {
+    console.error("Error creating notification:", error);
+    return null;
+  }
+}
+
+/*
+ * AUDIT LOG
+ * audit_log collection (append-only, never updated or deleted by the API):
+ * { actorEmail, actorRole, action, targetType, targetId, before, after,
+ *   metadata, ip, userAgent, createdAt }
+ */
+const AUDIT_ACTIONS = [
+  "user.role_changed",
+  "user.deleted",
+  "lesson.updated",
+  "lesson.moderated",
+  "lesson.restored",
+  "lesson.deleted",
+  "comment.deleted",
+  "report.status_changed",
+  "taxonomy.created",
+  "taxonomy.updated",
+  "taxonomy.merged",
+  "taxonomy.deleted",
+  "stripe_event.replayed",
+  "rate_limit.cleared",
+  "plan.created",
+  "plan.updated",
+  "promo_code.created",
+  "promo_code.updated",
+  "assets.collected",
+  "lesson.bulk_action",
+];
+
+/*
+ * Append an audit entry for an admin mutation performed by req.user.
+ * Called after the mutation succeeds. Never throws: the change has already
+ * been made, so a logging failure is reported but not surfaced to the client.
+ */
+async function recordAudit(req, { action, targetType, targetId, before = null, after = null, metadata = {} }) {
+  try {
+    await getAuditLogCollection().insertOne({
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId: targetId != null ? String(targetId) : null,
+      before,
+      after,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || "",
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    console.error("Error recording audit entry:", error);
+  }
+}
+
+// Audit an admin's lesson revision: moderation flag changes always, content
+// changes (contentAction: "lesson.updated" | "lesson.restored") on others' lessons
+async function auditLessonRevision(req, lesson, revision, contentAction) {
+  if (!revision || req.user.role !== "admin") return;
+
+  const flagFields = ["isFeatured", "isReviewed", "isHidden"];
+  const flags = revision.changedFields.filter((field) => flagFields.includes(field));
+  const content = revision.changedFields.filter((field) => !flagFields.includes(field));
+  const base = {
+    targetType: "lesson",
+    targetId: lesson._id,
+    metadata: { revision: revision.revision, creatorEmail: lesson.creatorEmail },
+  };
+
+  if (flags.length > 0) {
+    await recordAudit(req, {
+      ...base,
+      action: "lesson.moderated",
+      before: pickFields(revision.previous, flags),
+      after: pickFields(revision.snapshot, flags),
+    });
+  }
+  if (content.length > 0 && lesson.creatorEmail !== req.user.email) {
+    await recordAudit(req, {
+      ...base,
+      action: contentAction,
+      before: pickFields(revision.previous, content),
+      after: pickFields(revision.snapshot, content),
+    });
+  }
+}
+
+/*
+ * LIVE UPDATES (Server-Sent Events)
+ * Events are written to the capped "live_events" collection. Every instance tails
+ * it and forwards events to its own SSE subscribers, so an event published on one
+ * instance reaches clients connected to any other instance.
+ * Channels: "lesson:<lessonId>" and "user:<email>".
+ */
+const LIVE_EVENTS_CAPPED_BYTES = 5 * 1024 * 1024;
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+const liveSubscribers = new Map(); // channel -> Set<res>
+let liveListenerRunning = false;
+let liveCursor = null;
+
+// Publish an event to a channel. Never throws.
+async function publishLiveEvent(channel, event, data) {
+  try {
+    await getLiveEventsCollection().insertOne({
+      channel,
+      event,
+      data,
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    console.error("Error publishing live event:", error);
+  }
+}
+
+// Format a stored event as an SSE message (id lets clients resume with Last-Event-ID)
+const formatSseMessage = (doc) =>
+  `id: ${doc._id}\nevent: ${doc.event}\ndata: ${JSON.stringify(doc.data)}\n\n`;
+
+// Write an event to one subscriber once; replay and live delivery may overlap
+function sendLiveEvent(res, doc) {
+  const sentIds = res.locals.liveSentIds;
+  const id = doc._id.toString();
+  if (sentIds.has(id)) return;
+  sentIds.add(id);
+  if (sentIds.size > 500) sentIds.delete(sentIds.values().next().value);
+  res.write(formatSseMessage(doc));
+}
+
+function dispatchLiveEvent(doc) {
+  const subscribers = liveSubscribers.get(doc.channel);
+  if (!subscribers) return;
+  for (const res of subscribers) {
+    sendLiveEvent(res, doc);
+  }
+}
+
+// Newest event in natural (insertion) order
+const getNewestLiveEventId = async () => {
+  const newest = await getLiveEventsCollection()
+    .find({}, { projection: { _id: 1 } })
+    .sort({ $natural: -1 })
+    .limit(1)
+    .next();
+  return newest ? newest._id : null;
+};
+
+/*
+ * Tail live_events while this instance has subscribers.
+ * The cursor has no _id filter: ObjectIds from different instances are not
+ * ordered within a second, so `$gt: lastId` would silently drop events.
+ * Instead it reads in natural order and skips up to the last event seen.
+ */
+async function runLiveListener() {
+  const liveEventsCollection = getLiveEventsCollection();
+  let lastId = await getNewestLiveEventId();
+
+  while (liveSubscribers.size > 0) {
+    // Last seen event already evicted from the capped collection: resume at the newest
+    if (
+      lastId &&
+      !(await liveEventsCollection.findOne({ _id: lastId }, { projection: { _id: 1 } }))
+    ) {
+      lastId = await getNewestLiveEventId();
+    }
+
+    let skipping = lastId !== null;
+    liveCursor = liveEventsCollection.find({}, { tailable: true, awaitData: true });
+
+    try {
+      for await (const doc of liveCursor) {
+        if (skipping) {
+          if (doc._id.equals(lastId)) skipping = false;
+          continue;
+        }
+        lastId = doc._id;
+        dispatchLiveEvent(doc);
+      }
+    } catch (error) {
+      if (liveSubscribers.size > 0) {
+        console.error("Live event listener error:", error.message);
+      }
+    } finally {
+      await liveCursor.close().catch(() => {});
+      liveCursor = null;
+    }
+
+    // Tailable cursors die when the collection is empty or on network errors
+    if (liveSubscribers.size > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+function ensureLiveListener() {
+  if (liveListenerRunning) return;
+  liveListenerRunning = true;
+  runLiveListener()
+    .catch((error) => console.error("Live event listener stopped:", error))
+    .finally(() => {
+      liveListenerRunning = false;
+      // A client may have subscribed while the listener was shutting down
+      if (liveSubscribers.size > 0) ensureLiveListener();
+    });
+}
+
+/*
+ * Turn a response into an SSE stream subscribed to the given channel.
+ * Replays events missed since Last-Event-ID (when still in the capped collection).
+ * The subscriber is registered before the replay so nothing published in
+ * between is lost; events delivered by both paths are sent once.
+ */
+async function openLiveStream(req, res, channel) {
+  const { ObjectId } = require("mongodb");
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  res.locals.liveSentIds = new Set();
+  if (!liveSubscribers.has(channel)) {
+    liveSubscribers.set(channel, new Set());
+  }
+  liveSubscribers.get(channel).add(res);
+  ensureLiveListener();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), LIVE_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    const subscribers = liveSubscribers.get(channel);
+    if (subscribers) {
+      subscribers.delete(res);
+      if (subscribers.size === 0) liveSubscribers.delete(channel);
+    }
+    // Stop tailing when nobody on this instance is listening
+    if (liveSubscribers.size === 0 && liveCursor) {
+      liveCursor.close().catch(() => {});
+    }
+  });
+
+  const lastEventId = req.headers["last-event-id"] || req.query.lastEventId;
+  if (lastEventId && ObjectId.isValid(lastEventId)) {
+    // Natural order, not _id order (see runLiveListener)
+    const resumeId = new ObjectId(lastEventId);
+    const events = await getLiveEventsCollection()
+      .find({ channel })
+      .sort({ $natural: 1 })
+      .toArray();
+    const resumeIndex = events.findIndex((doc) => doc._id.equals(resumeId));
+
+    // Resume event evicted from the capped collection: send what is left from that second on
+    const missed =
+      resumeIndex >= 0
+        ? events.slice(resumeIndex + 1)
+        : events.filter((doc) => doc._id.getTimestamp() >= resumeId.getTimestamp());
+    res.locals.liveSentIds.add(resumeId.toString());
+    for (const doc of missed) {
+      sendLiveEvent(res, doc);
+    }
+  }
+}
+
+/*
+ * DELETION SERVICE
+ * Deleting a lesson or user cleans up (or anonymizes) every related record.
+ * A cleanup plan is a list of steps; it either runs in one transaction or,
+ * with dryRun, only counts the documents each step would touch.
+ */
+
+// Steps that remove lessons and everything attached to them
+function buildLessonCleanupSteps(lessonIds) {
+  const idStrings = lessonIds.map((id) => id.toString());
+  return [
+    {
+      key: "comments",
+      collection: getCommentsCollection,
+      op: "deleteMany",
+      filter: { lessonId: { $in: lessonIds } },
+    },
+    {
+      key: "favorites",
+      collection: getFavoritesCollection,
+      op: "deleteMany",
+      filter: { lessonId: { $in: lessonIds } },
+    },
+    {
+      key: "userFavoriteEntries",
+      collection: getUsersCollection,
+      op: "updateMany",
+      filter: { favorites: { $in: idStrings } },
+      update: { $pull: { favorites: { $in: idStrings } } },
+    },
+    {
+      key: "reports",
+      collection: getReportsCollection,
+      op: "deleteMany",
+      filter: { lessonId: { $in: lessonIds } },
+    },
+    {
+      key: "notifications",
+      collection: getNotificationsCollection,
+      op: "deleteMany",
+      filter: { lessonId: { $in: lessonIds } },
+    },
+    {
+      key: "recommendations",
+      collection: getRecommendationsCollection,
+      op: "deleteMany",
+      filter: { _id: { $in: lessonIds } },
+    },
+    {
+      key: "likeRecords",
+      collection: getLessonLikesCollection,
+      op: "deleteMany",
+      filter: { lessonId: { $in: lessonIds } },
+    },
+    {
+      key: "revisions",
+      collection: getLessonRevisionsCollection,
+      op: "deleteMany",
+      filter: { lessonId: { $in: lessonIds } },
+    },
+    {
+      key: "lessons",
+      collection: getLessonsCollection,
+      op: "deleteMany",
+      filter: { _id: { $in: lessonIds } },
+    },
+  ];
+}
+
+// Steps that remove a user, their lessons, and their traces on other content
+async function buildUserCleanupSteps(user) {
+  const email = user.email;
+  const lessonIds = await getLessonsCollection().distinct("_id", {
+    creatorEmail: email,
+  });
+  const followerEmails = await getFollowsCollection().distinct("followerEmail", {
+    followeeEmail: email,
+  });
+  const followedEmails = await getFollowsCollection().distinct("followeeEmail", {
+    followerEmail: email,
+  });
+
+  return [
+    ...buildLessonCleanupSteps(lessonIds),
+    {
+      key: "followingCountsUpdated",
+      collection: getUsersCollection,
+      op: "updateMany",
+      filter: { email: { $in: followerEmails } },
+      update: { $inc: { followingCount: -1 } },
+    },
+    {
+      key: "followerCountsUpdated",
+      collection: getUsersCollection,
+      op: "updateMany",
+      filter: { email: { $in: followedEmails } },
+      update: { $inc: { followersCount: -1 } },
+    },
+    {
+      key: "userNotifications",
+      collection: getNotificationsCollection,
+      op: "deleteMany",
+      filter: { $or: [{ recipientEmail: email }, { actorEmail: email }] },
+    },
+    {
+      key: "follows",
+      collection: getFollowsCollection,
+      op: "deleteMany",
+      filter: { $or: [{ followerEmail: email }, { followeeEmail: email }] },
+    },
+    {
+      key: "lessonLikesRemoved",
+      collection: getLessonsCollection,
+      op: "updateMany",
+      filter: { likes: email, _id: { $nin: lessonIds } },
+      update: { $pull: { likes: email }, $inc: { likesCount: -1 } },
+    },
+    {
+      key: "userLikeRecords",
+      collection: getLessonLikesCollection,
+      op: "deleteMany",
+      filter: { userEmail: email },
+    },
+    {
+      key: "commentLikesRemoved",
+      collection: getCommentsCollection,
+      op: "updateMany",
+      filter: { likes: email, lessonId: { $nin: lessonIds } },
+      update: { $pull: { likes: email }, $inc: { likesCount: -1 } },
+    },
+    {
+      // Keep threads readable on other lessons
+      key: "commentsAnonymized",
+      collection: getCommentsCollection,
+      op: "updateMany",
+      filter: { userEmail: email, lessonId: { $nin: lessonIds } },
+      update: {
+        $set: { userEmail: null, userName: "[deleted user]", userPhoto: "" },
+      },
+    },
+    {
+      key: "userFavorites",
+      collection: getFavoritesCollection,
+      op: "deleteMany",
+      filter: { userEmail: email },
+    },
+    {
+      // Reports stay for moderation history without the reporter's identity
+      key: "reportsAnonymized",
+      collection: getReportsCollection,
+      op: "updateMany",
+      filter: { reporterEmail: email },
+      update: { $set: { reporterEmail: null } },
+    },
+    {
+      key: "users",
+      collection: getUsersCollection,
+      op: "deleteMany",
+      filter: { _id: user._id },
+    },
+  ];
+}
+
+// Run (or count, with dryRun) a cleanup plan. Returns { [step.key]: count },
+// or null when `guard(session)` returns false inside the transaction.
+async function runCleanupPlan(steps, { dryRun = false, guard } = {}) {
+  const summary = {};
+
+  if (dryRun) {
+    for (const step of steps) {
+      const count = await step.collection().countDocuments(step.filter);
+      summary[step.key] = (summary[step.key] || 0) + count;
+    }
+    return summary;
+  }
+
+  let allowed = true;
+  const execute = async (session) => {
+    // withTransaction may retry the callback, so start from a clean summary
+    for (const key of Object.keys(summary)) delete summary[key];
+
+    allowed = guard ? await guard(session) : true;
+    if (!allowed) return;
+
+    for (const step of steps) {
+      const collection = step.collection();
+      const result =
+        step.op === "deleteMany"
+          ? await collection.deleteMany(step.filter, { session })
+          : await collection.updateMany(step.filter, step.update, { session });
+      const count =
+        step.op === "deleteMany" ? result.deletedCount : result.modifiedCount;
+      summary[step.key] = (summary[step.key] || 0) + count;
+    }
+  };
+
+  const session = client.startSession();
+  try {
+    await session.withTransaction(() => execute(session));
+  } catch (error) {
+    // Standalone servers (local development) don't support transactions
+    if (error.code !== 20 && error.codeName !== "IllegalOperation") {
+      throw error;
+    }
+    console.warn("Transactions not supported, running cleanup without one");
+    await execute(undefined);
+  } finally {
+    await session.endSession();
+  }
+
+  return allowed ? summary : null;
+}
+
+// runCleanupPlan guard for removing an admin (delete or demote). Writing to
+// another admin inside the transaction makes concurrent removals conflict
+// instead of both passing a count and leaving no admin.
+const otherAdminGuard = (userId) => async (session) => {
+  const otherAdmin = await getUsersCollection().findOneAndUpdate(
+    { role: "admin", _id: { $ne: userId } },
+    { $set: { updatedAt: new Date() } },
+    { session }
+  );
+  return otherAdmin !== null;
+};
+
+/*
+ * METRICS HELPERS
+ * Time series for the admin dashboard, bucketed in UTC with $dateTrunc
+ * (weeks start on Monday). Likes are counted from lesson_likes, so likes
+ * given before timestamps were recorded are not part of any series.
+ */
+const METRICS_INTERVALS = {
+  day: { maxBuckets: 366 },
+  week: { maxBuckets: 260 },
+  month: { maxBuckets: 120 },
+};
+const METRICS_DEFAULT_DAYS = 30;
+
+// Start of the UTC bucket containing date (matches $dateTrunc)
+function truncateDate(date, interval) {
+  const d = new Date(date);
+  if (interval === "month") return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  if (interval === "week") day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+}
+
+// Start of the bucket after `date`
+function nextBucket(date, interval) {
+  const d = new Date(date);
+  if (interval === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+  else d.setUTCDate(d.getUTCDate() + (interval === "week" ? 7 : 1));
+  return d;
+}
+
+// Bucket start dates covering [from, to)
+function buildBuckets(from, to, interval) {
+  const buckets = [];
+  for (let d = truncateDate(from, interval); d < to; d = nextBucket(d, interval)) {
+    buckets.push(d);
+  }
+  return buckets;
+}
+
+// Parse ?interval=&from=&to= into a range, or { error }
+function parseMetricsRange(query) {
+  const interval = query.interval || "day";
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - METRICS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (from >= to) {
+    return { error: "from must be before to" };
+  }
+  const buckets = buildBuckets(from, to, interval);
+  if (buckets.length > METRICS_INTERVALS[interval].maxBuckets) {
+    return {
+      error: `Range too large for ${interval} interval (max ${METRICS_INTERVALS[interval].maxBuckets} buckets)`,
+    };
+  }
+
+  // The previous period has the same length and ends where this one starts
+  const previous = {
+    from: new Date(from.getTime() - (to.getTime() - from.getTime())),
+    to: from,
+  };
+  return { interval, from, to, buckets, previous };
+}
+
+/*
+ * Sum `value` per bucket for documents whose dateField falls in [from, to).
+ * With splitBy, each bucket holds { [splitValue]: sum } instead of a number.
+ * Returns a Map keyed by bucket ISO string.
+ */
+async function aggregateSeries(collection, { match = {}, dateField, value = 1, splitBy = null }, { from, to, interval }) {
+  const groups = await collection
+    .aggregate([
+      { $match: { ...match, [dateField]: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: {
+            period: {
+              $dateTrunc: {
+                date: `$${dateField}`,
+                unit: interval,
+                startOfWeek: "monday",
+                timezone: "UTC",
+              },
+            },
+            split: splitBy ? `$${splitBy}` : null,
+          },
+          value: { $sum: value },
+        },
+      },
+    ])
+    .toArray();
+
+  const series = new Map();
+  for (const group of groups) {
+    const key = group._id.period.toISOString();
+    if (splitBy) {
+      const bucket = series.get(key) || {};
+      bucket[group._id.split ?? "unknown"] = group.value;
+      series.set(key, bucket);
+    } else {
+      series.set(key, group.value);
+    }
+  }
+  return series;
+}
+
+// Percentage change from previous to current (null when there is no baseline)
+const growthPercent = (current, previous) =>
+  previous === 0 ? null : Math.round(((current - previous) / previous) * 1000) / 10;
+
+// Metric definitions: collection getter plus aggregateSeries options
+function getMetricDefinitions() {
+  return {
+    newUsers: { collection: getUsersCollection, dateField: "createdAt" },
+    newLessons: { collection: getLessonsCollection, dateField: "createdAt" },
+    likes: { collection: getLessonLikesCollection, dateField: "createdAt" },
+    comments: { collection: getCommentsCollection, dateField: "createdAt" },
+    favorites: { collection: getFavoritesCollection, dateField: "createdAt" },
+    reportsOpened: { collection: getReportsCollection, dateField: "createdAt" },
+    reportsResolved: {
+      collection: getReportsCollection,
+      dateField: "resolvedAt",
+      match: { status: { $in: ["actioned", "dismissed"] } },
+    },
+    // One payment record per completed checkout, dated when it was paid
+    premiumConversions: {
+      collection: getPaymentsCollection,
+      dateField: "createdAt",
+      match: { checkoutSessionId: { $ne: null } },
+    },
+    // Net of refunds per currency, in minor units like /api/admin/payments
+    // (plans can be priced in any currency, so amounts are never summed across)
+    revenue: {
+      collection: getPaymentsCollection,
+      dateField: "createdAt",
+      value: { $subtract: ["$amount", { $ifNull: ["$amountRefunded", 0] }] },
+      splitBy: "currency",
+    },
+  };
+}
+
+/*
+ * RECOMMENDATIONS
+ * Related lessons are precomputed into lesson_recommendations:
+ * { _id: lessonId, items: [{ lessonId, score, reasons, signals }], computedAt }
+ * A candidate's score blends co-engagement (users who liked/saved both),
+ * TF-IDF text similarity, shared category/tone and recency. Refreshed by the
+ * daily Vercel cron (GET /api/cron/recommendations), a timer on long-running
+ * servers, or POST /api/admin/recommendations/refresh.
+ */
+const RECOMMENDATION_WEIGHTS = {
+  coEngagement: 0.45,
+  text: 0.3,
+  taxonomy: 0.15,
+  recency: 0.1,
+};
+const RECOMMENDATIONS_PER_LESSON = 30; // Stored; the endpoint filters then trims
+const RECOMMENDATION_RECENCY_DAYS = 90; // Recency signal halves roughly every 62 days
+const RECOMMENDATION_MAX_USER_ITEMS = 200; // Ignore very heavy users for co-engagement
+const RECOMMENDATION_TERMS_PER_LESSON = 30;
+const RECOMMENDATIONS_REFRESH_MINUTES =
+  parseInt(process.env.RECOMMENDATIONS_REFRESH_MINUTES) || 360;
+
+const STOP_WORDS = new Set(
+  ("the and for are but not you your with this that from have has had was were will " +
+    "would could should about into than then them they their there what when where " +
+    "which who how why all any can its our out his her she him just more most some " +
+    "such very also been being over only own same too after before because while")
+    .split(" ")
+);
+
+// Lowercased word tokens without stop words or very short words
+const tokenize = (text) =>
+  (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= 3 && !STOP_WORDS.has(word));
+
+// Top TF-IDF terms per lesson as unit-length sparse vectors (Map term -> weight)
+function buildTextVectors(lessons) {
+  const termCounts = lessons.map((lesson) => {
+    const counts = new Map();
+    // Title words count double
+    for (const word of [...tokenize(lesson.title), ...tokenize(lesson.title), ...tokenize(markdownToText(lesson.description))]) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return termCounts.map((counts) => {
+    const weighted = [...counts].map(([term, count]) => [
+      term,
+      (1 + Math.log(count)) * Math.log(lessons.length / documentFrequency.get(term)),
+    ]);
+    const top = weighted
+      .filter(([, weight]) => weight > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, RECOMMENDATION_TERMS_PER_LESSON);
+    const norm = Math.sqrt(top.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+    return new Map(top.map(([term, weight]) => [term, weight / norm]));
+  });
+}
+
+// Compute and store recommendations for every public lesson. Returns a summary.
+async function computeRecommendations() {
+  const startedAt = new Date();
+  const lessons = await getLessonsCollection()
+    .find(publicLessonFilter(), {
+      projection: { title: 1, description: 1, category: 1, emotionalTone: 1, createdAt: 1, likes: 1 },
+    })
+    .toArray();
+
+  const index = new Map(lessons.map((lesson, i) => [lesson._id.toString(), i]));
+
+  // Users' engagement sets (likes + favorites) -> co-engagement counts per pair
+  const engagement = new Map();
+  const engage = (email, i) => {
+    if (!email || i === undefined) return;
+    if (!engagement.has(email)) engagement.set(email, new Set());
+    engagement.get(email).add(i);
+  };
+  lessons.forEach((lesson, i) => (lesson.likes || []).forEach((email) => engage(email, i)));
+  const favorites = await getFavoritesCollection()
+    .find({}, { projection: { userEmail: 1, lessonId: 1 } })
+    .toArray();
+  favorites.forEach((favorite) => engage(favorite.userEmail, index.get(favorite.lessonId.toString())));
+
+  const degree = new Array(lessons.length).fill(0);
+  const coCounts = lessons.map(() => new Map());
+  for (const items of engagement.values()) {
+    if (items.size > RECOMMENDATION_MAX_USER_ITEMS) continue;
+    const list = [...items];
+    for (const a of list) {
+      degree[a]++;
+      for (const b of list) {
+        if (a !== b) coCounts[a].set(b, (coCounts[a].get(b) || 0) + 1);
+      }
+    }
+  }
+
+  // Text vectors plus an inverted index to find lessons sharing terms
+  const vectors = buildTextVectors(lessons);
+  const postings = new Map();
+  vectors.forEach((vector, i) => {
+    for (const term of vector.keys()) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(i);
+    }
+  });
+
+  const byCategory = new Map();
+  const byTone = new Map();
+  lessons.forEach((lesson, i) => {
+    if (!byCategory.has(lesson.category)) byCategory.set(lesson.category, []);
+    byCategory.get(lesson.category).push(i);
+    if (!byTone.has(lesson.emotionalTone)) byTone.set(lesson.emotionalTone, []);
+    byTone.get(lesson.emotionalTone).push(i);
+  });
+
+  const now = Date.now();
+  const recency = lessons.map((lesson) => {
+    const ageDays = (now - new Date(lesson.createdAt || 0).getTime()) / 86400000;
+    return Math.exp(-Math.max(ageDays, 0) / RECOMMENDATION_RECENCY_DAYS);
+  });
+
+  const operations = [];
+  lessons.forEach((lesson, a) => {
+    // Text similarity with every lesson sharing at least one top term
+    const textScores = new Map();
+    for (const [term, weight] of vectors[a]) {
+      for (const b of postings.get(term)) {
+        if (b !== a) textScores.set(b, (textScores.get(b) || 0) + weight * vectors[b].get(term));
+      }
+    }
+
+    const candidates = new Set([
+      ...coCounts[a].keys(),
+      ...textScores.keys(),
+      ...byCategory.get(lesson.category),
+      ...byTone.get(lesson.emotionalTone),
+    ]);
+    candidates.delete(a);
+
+    const scored = [];
+    for (const b of candidates) {
+      const co = coCounts[a].get(b) || 0;
+      const signals = {
+        coEngagement: co > 0 ? co / Math.sqrt(degree[a] * degree[b]) : 0,
+        text: textScores.get(b) || 0,
+        taxonomy:
+          (lessons[b].category === lesson.category ? 0.5 : 0) +
+          (lessons[b].emotionalTone === lesson.emotionalTone ? 0.5 : 0),
+        recency: recency[b],
+      };
+      const score = Object.entries(RECOMMENDATION_WEIGHTS).reduce(
+        (sum, [signal, weight]) => sum + weight * signals[signal],
+        0
+      );
+
+      const reasons = [];
+      if (co > 0) reasons.push("co_engagement");
+      if (signals.text >= 0.1) reasons.push("similar_text");
+      if (lessons[b].category === lesson.category) reasons.push("same_category");
+      if (lessons[b].emotionalTone === lesson.emotionalTone) reasons.push("same_tone");
+
+      scored.push({ lessonId: lessons[b]._id, score, reasons, signals });
+    }
+
+    scored.sort((x, y) => y.score - x.score);
+    operations.push({
+      replaceOne: {
+        filter: { _id: lesson._id },
+        replacement: {
+          items: scored.slice(0, RECOMMENDATIONS_PER_LESSON).map((item) => ({
+            ...item,
+            score: Math.round(item.score * 10000) / 10000,
+          })),
+          computedAt: startedAt,
+        },
+        upsert: true,
+      },
+    });
+  });
+
+  const recommendationsCollection = getRecommendationsCollection();
+  for (let i = 0; i < operations.length; i += 500) {
+    await recommendationsCollection.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+  }
+  // Lessons no longer public keep no recommendations
+  const stale = await recommendationsCollection.deleteMany({ computedAt: { $lt: startedAt } });
+
+  return {
+    lessons: lessons.length,
+    removed: stale.deletedCount,
+    durationMs: Date.now() - startedAt.getTime(),
+    computedAt: startedAt,
+  };
+}
+
+/*
+ * Run `task` unless another instance already holds the job lock `name`.
+ * The lock expires on its own in case an instance dies mid-run.
+ */
+async function withJobLock(name, lockMs, task) {
+  const locksCollection = db.collection("job_locks");
+  try {
+    await locksCollection.insertOne({ _id: name, lockedUntil: new Date(0) });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const lock = await locksCollection.findOneAndUpdate(
+    { _id: name, lockedUntil: { $lte: new Date() } },
+    { $set: { lockedUntil: new Date(Date.now() + lockMs) } }
+  );
+  if (!lock) return { skipped: true, reason: "Job already running" };
+
+  try {
+    return await task();
+  } finally {
+    await locksCollection.updateOne(
+      { _id: name },
+      { $set: { lockedUntil: new Date(0), lastRunAt: new Date() } }
+    );
+  }
+}
+
+// Recompute recommendations unless another instance is already running it
+const refreshRecommendations = () =>
+  withJobLock("recommendations", 15 * 60 * 1000, computeRecommendations);
+
+/*
+ * BULK MODERATION
+ * Admin actions on many lessons at once, selected by explicit IDs or by the
+ * GET /api/admin/lessons filter. Every lesson goes through the same path as a
+ * single edit or delete (revision, live event, audit entry). Up to
+ * BULK_INLINE_LIMIT lessons are processed within the request; larger batches
+ * become a job:
+ * jobs collection: { type: "lessons.bulk", action, selection, lessonIds,
+ *   status: "queued" | "running" | "completed" | "failed", total, processed,
+ *   summary: { [itemStatus]: count }, results: [{ id, status, error? }],
+ *   actor: { email, role, ip, userAgent }, lockedUntil, createdAt, startedAt,
+ *   finishedAt, error }
+ * Jobs run in chunks under a lease, so a job cut short by a restart or a
+ * serverless timeout is picked up again by the next worker run. Re-running a
+ * chunk is safe: flags end up "unchanged" and deleted lessons "not_found".
+ */
+const BULK_MAX_IDS = 1000;
+const BULK_MAX_LESSONS = 10000; // Per filter selection
+const BULK_INLINE_LIMIT = 50;
+const BULK_CHUNK_SIZE = 100;
+const BULK_LEASE_MS = 5 * 60 * 1000;
+
+// Fields set by each action; the first one is the flag it toggles.
+// "delete" removes the lesson through the deletion service instead.
+const BULK_LESSON_ACTIONS = {
+  feature: () => ({ isFeatured: true }),
+  unfeature: () => ({ isFeatured: false }),
+  review: () => ({ isReviewed: true }),
+  hide: () => ({ isHidden: true, hiddenReason: "admin", hiddenAt: new Date() }),
+  unhide: () => ({ isHidden: false, hiddenReason: null, hiddenAt: null }),
+  delete: null,
+};
+
+// Filter shared by GET /api/admin/lessons and bulk actions
+async function buildAdminLessonFilter({ category, visibility, flagged } = {}) {
+  const filter = {};
+
+  // Category (slug or display name)
+  if (category) {
+    filter.category = await taxonomyFilterValue("category", category);
+  }
+
+  if (visibility) {
+    filter.visibility = visibility;
+  }
+
+  // Flagged: lessons with active reports
+  if (flagged === true || flagged === "true") {
+    const reportedLessonIds = await getReportsCollection().distinct("lessonId", {
+      targetType: { $ne: "comment" },
+      status: { $in: ACTIVE_REPORT_STATUSES },
+    });
+    filter._id = { $in: reportedLessonIds };
+  }
+
+  return filter;
+}
+
+// Lesson IDs selected by { ids } or { filter } ({ error } when too many match)
+async function resolveBulkTargets({ ids, filter }) {
+  const { ObjectId } = require("mongodb");
+
+  if (ids) {
+    return { lessonIds: [...new Set(ids)].map((id) => new ObjectId(id)) };
+  }
+
+  const lessons = await getLessonsCollection()
+    .find(await buildAdminLessonFilter(filter))
+    .project({ _id: 1 })
+    .sort({ _id: 1 })
+    .limit(BULK_MAX_LESSONS + 1)
+    .toArray();
+
+  if (lessons.length > BULK_MAX_LESSONS) {
+    return {
+      error: `Filter matches more than ${BULK_MAX_LESSONS} lessons; narrow it down`,
+    };
+  }
+  return { lessonIds: lessons.map((lesson) => lesson._id) };
+}
+
+// Count item results by status
+const summarizeResults = (results) =>
+  results.reduce((summary, result) => {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+    return summary;
+  }, {});
+
+// Per-item outcome of an action without changing anything
+async function previewBulkAction(action, lessonIds) {
+  const lessons = await getLessonsCollection()
+    .find({ _id: { $in: lessonIds } })
+    .project({ title: 1, isFeatured: 1, isReviewed: 1, isHidden: 1 })
+    .toArray();
+  const byId = new Map(lessons.map((lesson) => [lesson._id.toString(), lesson]));
+  const fields = BULK_LESSON_ACTIONS[action] ? BULK_LESSON_ACTIONS[action]() : null;
+
+  // Same change detection as updateLessonWithRevision, so the preview matches the run
+  const results = lessonIds.map((id) => {
+    const lesson = byId.get(id.toString());
+    if (!lesson) return { id, status: "not_found" };
+    if (!fields) return { id, title: lesson.title, status: "would_delete" };
+    return {
+      id,
+      title: lesson.title,
+      status:
+        getChangedLessonFields(lesson, fields).length > 0 ? "would_update" : "unchanged",
+    };
+  });
+
+  const preview = { total: lessonIds.length, summary: summarizeResults(results), results };
+  if (!fields) {
+    preview.wouldRemove = await runCleanupPlan(
+      buildLessonCleanupSteps(lessons.map((lesson) => lesson._id)),
+      { dryRun: true }
+    );
+  }
+  return preview;
+}
+
+// Stand-in for req so jobs can write audit entries after the request has ended
+const actorContext = (actor) => ({
+  user: { email: actor.email, role: actor.role },
+  ip: actor.ip,
+  get: (header) =>
+    header.toLowerCase() === "user-agent" ? actor.userAgent : undefined,
+});
+
+// Apply an action to each lesson in turn; failures are reported per item
+async function applyBulkLessonActions(action, lessonIds, actor, jobId = null) {
+  const lessonsCollection = getLessonsCollection();
+  const context = actorContext(actor);
+  const results = [];
+
+  for (const lessonId of lessonIds) {
+    try {
+      const lesson = await lessonsCollection.findOne({ _id: lessonId });
+      if (!lesson) {
+        results.push({ id: lessonId, status: "not_found" });
+        continue;
+      }
+
+      if (action === "delete") {
+        const removed = await runCleanupPlan(buildLessonCleanupSteps([lessonId]));
+        await publishLiveEvent(`lesson:${lessonId}`, "lesson.deleted", { lessonId });
+        await recordAudit(context, {
+          action: "lesson.deleted",
+          targetType: "lesson",
+          targetId: lessonId,
+          before: { title: lesson.title, creatorEmail: lesson.creatorEmail },
+          metadata: { removed, jobId },
+        });
+        results.push({ id: lessonId, status: "deleted" });
+        continue;
+      }
+
+      const updateFields = BULK_LESSON_ACTIONS[action]();
+      const { revision } = await updateLessonWithRevision(lesson, updateFields, context.user);
+      if (!revision) {
+        results.push({ id: lessonId, status: "unchanged" });
+        continue;
+      }
+
+      await publishLessonRevision(lesson, updateFields, revision);
+      await auditLessonRevision(context, lesson, revision, "lesson.updated");
+      if (action === "feature") {
+        await notify({
+          recipientEmail: lesson.creatorEmail,
+          actorEmail: actor.email,
+          type: "lesson_featured",
+          lessonId,
+          data: { lessonTitle: lesson.title },
+        });
+      }
+      results.push({ id: lessonId, status: "updated", revision: revision.revision });
+    } catch (error) {
+      console.error(`Error applying bulk ${action} to lesson ${lessonId}:`, error);
+      results.push({ id: lessonId, status: "failed", error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/*
+ * Claim a queued (or abandoned) job and process it chunk by chunk.
+ * Returns false when the job is finished or another worker holds its lease.
+ */
+async function runBulkJob(jobId) {
+  const jobsCollection = getJobsCollection();
+  const now = new Date();
+  let job = await jobsCollection.findOneAndUpdate(
+    { _id: jobId, status: { $in: ["queued", "running"] }, lockedUntil: { $lte: now } },
+    [
+      {
+        $set: {
+          status: "running",
+          lockedUntil: new Date(now.getTime() + BULK_LEASE_MS),
+          startedAt: { $ifNull: ["$startedAt", now] },
+        },
+      },
+    ],
+    { returnDocument: "after", projection: { results: 0 } }
+  );
+  if (!job) return false;
+
+  try {
+    while (job.processed < job.total) {
+      const chunk = job.lessonIds.slice(job.processed, job.processed + BULK_CHUNK_SIZE);
+      const results = await applyBulkLessonActions(job.action, chunk, job.actor, job._id);
+      const counts = Object.entries(summarizeResults(results)).map(
+        ([status, count]) => [`summary.${status}`, count]
+      );
+
+      job = await jobsCollection.findOneAndUpdate(
+        { _id: job._id },
+        {
+          $push: { results: { $each: results } },
+          $inc: { processed: chunk.length, ...Object.fromEntries(counts) },
+          $set: { lockedUntil: new Date(Date.now() + BULK_LEASE_MS) },
+        },
+        { returnDocument: "after", projection: { results: 0 } }
+      );
+    }
+
+    await jobsCollection.updateOne(
+      { _id: job._id },
+      { $set: { status: "completed", finishedAt: new Date(), lockedUntil: new Date(0) } }
+    );
+  } catch (error) {
+    console.error(`Error running job ${jobId}:`, error);
+    await jobsCollection.updateOne(
+      { _id: jobId },
+      {
+        $set: {
+          status: "failed",
+          error: error.message,
+          finishedAt: new Date(),
+          lockedUntil: new Date(0),
+        },
+      }
+    );
+  }
+  return true;
+}
+
+// Run queued jobs and resume those whose worker stopped (expired lease)
+async function runPendingJobs({ limit = 5 } = {}) {
+  const pending = await getJobsCollection()
+    .find({ status: { $in: ["queued", "running"] }, lockedUntil: { $lte: new Date() } })
+    .project({ _id: 1 })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  let ran = 0;
+  for (const job of pending) {
+    if (await runBulkJob(job._id)) ran += 1;
+  }
+  return { ran };
+}
+
+// Public shape of a job (results only on request: they can be large)
+const formatJob = (job, { includeResults = false } = {}) => ({
+  _id: job._id,
+  type: job.type,
+  action: job.action,
+  selection: job.selection,
+  status: job.status,
+  total: job.total,
+  processed: job.processed,
+  progress: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100,
+  summary: job.summary,
+  createdBy: job.actor.email,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt || null,
+  finishedAt: job.finishedAt || null,
+  error: job.error || null,
+  ...(includeResults ? { results: job.results } : {}),
+});
+
+/*
+ * PAGINATION HELPERS
+ * Two modes share one envelope builder:
+ *   - Cursor mode: ?cursor=<opaque>&limit= (send an empty `cursor=` for the first page)
+ *   - Page mode (legacy): ?page=&limit=
+ * Cursors encode the sort value + _id of the boundary document, so results stay
+ * stable when new documents are inserted while a client is scrolling.
+ */
+
+// Supported sort orders for lesson listings. _id is always the tie-breaker.
+const LESSON_SORTS = {
+  newest: { field: "createdAt", direction: -1 },
+  oldest: { field: "createdAt", direction: 1 },
+  popular: { field: "likesCount", direction: -1 },
+  relevance: { field: "score", direction: -1 }, // Only valid with ?search=
+};
+
+// Parse pagination query params shared by every paginated route
+function getPaginationParams(query, { defaultLimit = 10, maxLimit = 100 } = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || defaultLimit, 1),
+    maxLimit
+  );
+
+  if (query.cursor !== undefined) {
+    return { mode: "cursor", limit, cursor: query.cursor || null };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { mode: "page", limit, page, skip: (page - 1) * limit };
+}
+
+// True when the client asked for pagination (routes that used to return whole
+// collections keep their legacy array response otherwise)
+const wantsPagination = (query) =>
+  query.cursor !== undefined ||
+  query.page !== undefined ||
+  query.limit !== undefined;
+
+// Encode the boundary document of a page into an opaque cursor
+function encodeCursor(doc, sortKey, field, nav) {
+  const value = doc[field];
+  const payload = {
+    s: sortKey,
+    n: nav, // "next" | "prev"
+    v: value instanceof Date ? { $date: value.toISOString() } : value ?? null,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+// Decode an opaque cursor. Returns null when malformed or minted for another sort.
+function decodeCursor(cursor, sortKey) {
+  const { ObjectId } = require("mongodb");
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (payload.s !== sortKey || !["next", "prev"].includes(payload.n)) {
+      return null;
+    }
+    const value =
+      payload.v && payload.v.$date ? new Date(payload.v.$date) : payload.v;
+    const id = ObjectId.isValid(payload.id) && payload.id.length === 24
+      ? new ObjectId(payload.id)
+      : payload.id;
+    return { nav: payload.n, value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/*
+ * Run an aggregation pipeline with either cursor or page pagination.
+ * - pipeline: stages producing the documents to paginate (filters, lookups needed for filtering)
+ * - postPipeline: stages applied only to the returned page (e.g. display-only $lookup)
+ * Returns { items, pagination } or { error } when the cursor is invalid.
+ */
+async function paginateAggregate(collection, pipeline, options) {
+  const { params, sortKey, field, direction, postPipeline = [] } = options;
+
+  // Legacy page-number mode
+  if (params.mode === "page") {
+    const [items, counts] = await Promise.all([
+      collection
+        .aggregate([
+          ...pipeline,
+          { $sort: { [field]: direction, _id: direction } },
+          { $skip: params.skip },
+          { $limit: params.limit },
+          ...postPipeline,
+        ])
+        .toArray(),
+      collection.aggregate([...pipeline, { $count: "total" }]).toArray(),
+    ]);
+    const total = counts.length ? counts[0].total : 0;
+
+    return {
+      items,
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        total,
+        totalPages: Math.ceil(total / params.limit),
+      },
+    };
+  }
+
+  // Cursor mode
+  let nav = "next";
+  const stages = [...pipeline];
+
+  if (params.cursor) {
+    const decoded = decodeCursor(params.cursor, sortKey);
+    if (!decoded) {
+      return { error: "Invalid cursor" };
+    }
+    nav = decoded.nav;
+
+    // Walking backwards flips the comparison direction
+    const forward = nav === "next" ? direction : -direction;
+    const op = forward === 1 ? "$gt" : "$lt";
+    stages.push({
+      $match: {
+        $or: [
+          { [field]: { [op]: decoded.value } },
+          { [field]: decoded.value, _id: { [op]: decoded.id } },
+        ],
+      },
+    });
+  }
+
+  const effectiveDirection = nav === "next" ? direction : -direction;
+  stages.push(
+    { $sort: { [field]: effectiveDirection, _id: effectiveDirection } },
+    { $limit: params.limit + 1 },
+    ...postPipeline
+  );
+
+  let items = await collection.aggregate(stages).toArray();
+  const hasMore = items.length > params.limit;
+  if (hasMore) items = items.slice(0, params.limit);
+  if (nav === "prev") items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  let nextCursor = null;
+  let prevCursor = null;
+
+  if (items.length > 0) {
+    if (nav === "next") {
+      nextCursor = hasMore ? encodeCursor(last, sortKey, field, "next") : null;
+      prevCursor = params.cursor ? encodeCursor(first, sortKey, field, "prev") : null;
+    } else {
+      prevCursor = hasMore ? encodeCursor(first, sortKey, field, "prev") : null;
+      nextCursor = encodeCursor(last, sortKey, field, "next");
+    }
+  }
+
+  return {
+    items,
+    pagination: {
+      limit: params.limit,
+      nextCursor,
+      prevCursor,
+      hasMore: nextCursor !== null,
+    },
+  };
+}
+
+/*
+ * RATE LIMITING
+ * Fixed-window counters in the rate_limits collection so limits hold across
+ * serverless instances: { _id: "group|identity|windowStart", group, identity,
+ *   windowStart, count, limit, expiresAt } (TTL index on expiresAt).
+ * Each group limits per user (when authenticated) and per IP; override with
+ * RATE_LIMITS='{"reactions":{"user":100,"windowSeconds":60}}'.
+ */
+const DEFAULT_RATE_LIMITS = {
+  reactions: { windowSeconds: 60, user: 60, ip: 120 }, // likes, favorites, follows
+  comments: { windowSeconds: 60, user: 10, ip: 30 },
+  reports: { windowSeconds: 3600, user: 10, ip: 30 },
+  lessons: { windowSeconds: 3600, user: 30, ip: 60 }, // create, edit, restore
+  checkout: { windowSeconds: 600, user: 5, ip: 20 },
+  account: { windowSeconds: 60, user: 10, ip: 30 }, // user sync, profile edits
+  uploads: { windowSeconds: 3600, user: 30, ip: 60 },
+};
+
+// Merge RATE_LIMITS env overrides (ignored when not valid JSON)
+function loadRateLimits() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMITS || "{}");
+  } catch (error) {
+    console.warn("Ignoring invalid RATE_LIMITS JSON:", error.message);
+  }
+  const limits = {};
+  for (const [group, config] of Object.entries(DEFAULT_RATE_LIMITS)) {
+    limits[group] = { ...config, ...(overrides[group] || {}) };
+  }
+  return limits;
+}
+const RATE_LIMITS = loadRateLimits();
+
+// Count a hit for one identity in the current window; returns { count, limit, resetAt }
+async function hitRateLimit(group, identity, limit, windowSeconds) {
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const resetAt = new Date(windowStart + windowMs);
+
+  const hit = () =>
+    getRateLimitsCollection().findOneAndUpdate(
+      { _id: `${group}|${identity}|${windowStart}` },
+      {
+        $inc: { count: 1 },
+        $set: { limit },
+        $setOnInsert: {
+          group,
+          identity,
+          windowStart: new Date(windowStart),
+          expiresAt: resetAt,
+        },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+
+  let counter;
+  try {
+    counter = await hit();
+  } catch (error) {
+    // 11000 = duplicate key: a concurrent first hit inserted the counter;
+    // the retry finds it and increments instead of failing open
+    if (error.code !== 11000) throw error;
+    counter = await hit();
+  }
+
+  return { count: counter.count, limit, resetAt };
+}
+
+// Middleware: throttle a route group per user and per IP.
+// Place after verifyToken (or resolveStreamUser) so req.user is known.
+// Fails open when the counter store is unavailable.
+function rateLimit(group) {
+  return async (req, res, next) => {
+    const config = RATE_LIMITS[group];
+    const identities = [];
+    if (req.user && config.user) identities.push([`user:${req.user.email}`, config.user]);
+    if (config.ip) identities.push([`ip:${req.ip}`, config.ip]);
+
+    let results;
+    try {
+      results = await Promise.all(
+        identities.map(([identity, limit]) =>
+          hitRateLimit(group, identity, limit, config.windowSeconds)
+        )
+      );
+    } catch (error) {
+      console.error("Error checking rate limit:", error);
+      return next();
+    }
+    if (results.length === 0) return next();
+
+    // Report the most restrictive identity in the headers
+    const tightest = results.reduce((a, b) =>
+      b.limit - b.count < a.limit - a.count ? b : a
+    );
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((tightest.resetAt.getTime() - Date.now()) / 1000)
+    );
+    res.set({
+      "RateLimit-Policy": `${tightest.limit};w=${config.windowSeconds}`,
+      "RateLimit-Limit": String(tightest.limit),
+      "RateLimit-Remaining": String(Math.max(0, tightest.limit - tightest.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (tightest.count > tightest.limit) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        error: "Too many requests, please try again later",
+        retryAfter: resetSeconds,
+      });
+    }
+    next();
+  };
+}
+
+/*
+ * REQUEST VALIDATION
+ * Each route declares a schema: { params, query, body } mapping field -> rule.
+ * Rule keys: type ("string" | "number" | "boolean" | "objectId" | "email" | "url" |
+ *   "date" | "array" | "object"), required, nullable, allowEmpty, minLength,
+ *   maxLength, min, max, integer, enum, pattern, items, maxItems.
+ * `strict: ["body"]` rejects unknown fields; `refine(input)` adds cross-field errors.
+ * Failures return 422 listing every field error:
+ *   { error: "Validation failed", errors: [{ location, field, code, message }] }
+ */
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validate one value against a rule, pushing errors. Query/params values arrive as strings.
+function checkValue(value, rule, location, field, errors) {
+  const fail = (code, message) =>
+    errors.push({ location, field, code, message: rule.message || message });
+  const fromString = location === "query" || location === "params";
+
+  if (value === undefined || (value === null && !rule.nullable)) {
+    if (rule.required) fail("required", `${field} is required`);
+    return;
+  }
+  if (value === null) return;
+
+  switch (rule.type) {
+    case "string":
+    case "email":
+    case "url": {
+      if (typeof value !== "string") {
+        return fail("type", `${field} must be a string`);
+      }
+      const trimmed = value.trim();
+      if (trimmed === "") {
+        if (rule.required && !rule.allowEmpty) {
+          return fail("required", `${field} is required`);
+        }
+        // An empty query value means "no filter"; an empty body value is not
+        // one of the allowed values
+        if (rule.enum && !rule.allowEmpty && !fromString) {
+          return fail("enum", `${field} must be one of: ${rule.enum.join(", ")}`);
+        }
+        if (rule.allowEmpty || !rule.minLength) return;
+      }
+      if (rule.minLength && trimmed.length < rule.minLength) {
+        return fail("too_short", `${field} must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return fail("too_long", `${field} must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.type === "email" && !EMAIL_PATTERN.test(value)) {
+        return fail("format", `${field} must be a valid email address`);
+      }
+      if (rule.type === "url") {
+        let url;
+        try {
+          url = new URL(value);
+        } catch (error) {
+          return fail("format", `${field} must be a valid URL`);
+        }
+        if (!["http:", "https:"].includes(url.protocol)) {
+          return fail("format", `${field} must be an http(s) URL`);
+        }
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return fail("format", `${field} has an invalid format`);
+      }
+      break;
+    }
+    case "number": {
+      const number = fromString && typeof value === "string" ? Number(value) : value;
+      if (typeof number !== "number" || Number.isNaN(number)) {
+        return fail("type", `${field} must be a number`);
+      }
+      if (rule.integer && !Number.isInteger(number)) {
+        return fail("type", `${field} must be an integer`);
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return fail("too_small", `${field} must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return fail("too_large", `${field} must be at most ${rule.max}`);
+      }
+      return;
+    }
+    case "boolean": {
+      const ok =
+        typeof value === "boolean" ||
+        (fromString && (value === "true" || value === "false"));
+      if (!ok) fail("type", `${field} must be true or false`);
+      return;
+    }
+    case "objectId":
+      if (value === "" && rule.allowEmpty) return;
+      if (typeof value !== "string" || !OBJECT_ID_PATTERN.test(value)) {
+        fail("format", `${field} must be a valid ID`);
+      }
+      return;
+    case "date":
+      if (
+        (typeof value !== "string" && typeof value !== "number") ||
+        Number.isNaN(new Date(value).getTime())
+      ) {
+        fail("format", `${field} must be a valid date`);
+      }
+      return;
+    case "array":
+      if (!Array.isArray(value)) {
+        return fail("type", `${field} must be an array`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail("too_many", `${field} must have at most ${rule.maxItems} items`);
+      }
+      if (rule.items) {
+        value.forEach((item, index) =>
+          checkValue(item, { ...rule.items, required: true }, location, `${field}[${index}]`, errors)
+        );
+      }
+      return;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return fail("type", `${field} must be an object`);
+      }
+      if (rule.properties) {
+        for (const [key, child] of Object.entries(rule.properties)) {
+          checkValue(value[key], child, location, `${field}.${key}`, errors);
+        }
+      }
+      return;
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail("enum", `${field} must be one of: ${rule.enum.join(", ")}`);
+  }
+}
+
+// Express middleware validating req.params, req.query and req.body against a schema
+function validate(schema) {
+  return (req, res, next) => {
+    // Express 5 leaves req.body undefined when no JSON body was sent
+    if (req.body === undefined) req.body = {};
+
+    const errors = [];
+    const input = { params: req.params, query: req.query, body: req.body };
+
+    for (const location of ["params", "query", "body"]) {
+      const rules = schema[location];
+      if (!rules) continue;
+      const values = input[location] || {};
+
+      if (location === "body" && (typeof values !== "object" || Array.isArray(values))) {
+        errors.push({ location, field: "", code: "type", message: "Request body must be a JSON object" });
+        continue;
+      }
+
+      for (const [field, rule] of Object.entries(rules)) {
+        checkValue(values[field], rule, location, field, errors);
+      }
+
+      if (schema.strict && schema.strict.includes(location)) {
+        for (const field of Object.keys(values)) {
+          if (!rules[field]) {
+            errors.push({ location, field, code: "unknown", message: `${field} is not allowed` });
+          }
+        }
+      }
+    }
+
+    if (errors.length === 0 && schema.refine) {
+      errors.push(...schema.refine(input));
+    }
+
+    if (errors.length > 0) {
+      return res.status(422).json({ error: "Validation failed", errors });
+    }
+    next();
+  };
+}
+
+/*
+ * REQUEST SCHEMAS
+ */
+const idParam = (name = "id") => ({ [name]: { type: "objectId", required: true } });
+const paginationQuery = {
+  page: { type: "number", integer: true, min: 1 },
+  limit: { type: "number", integer: true, min: 1, max: 100 },
+  cursor: { type: "string", maxLength: 1000 },
+};
+const sortQuery = (...sorts) => ({ sort: { type: "string", enum: sorts } });
+const dryRunQuery = { dryRun: { type: "string", enum: ["true", "false"] } };
+
+const lessonFields = {
+  title: { type: "string", minLength: 3, maxLength: 150 },
+  description: { type: "string", minLength: 10, maxLength: 20000 },
+  category: { type: "string", minLength: 2, maxLength: 50 },
+  emotionalTone: { type: "string", minLength: 2, maxLength: 50 },
+  image: { type: "objectId", allowEmpty: true, nullable: true }, // Uploaded asset ID
+  visibility: { type: "string", enum: LESSON_VISIBILITIES },
+  accessLevel: { type: "string", enum: ["free", "premium"] },
+  publishAt: { type: "date", nullable: true },
+  tags: {
+    type: "array",
+    maxItems: MAX_LESSON_TAGS,
+    items: { type: "string", minLength: 2, maxLength: 50 },
+  },
+};
+
+const taxonomyFields = {
+  name: { type: "string", minLength: 2, maxLength: 50 },
+  slug: { type: "string", maxLength: 60, pattern: /^[a-z0-9-]+$/ },
+  description: { type: "string", maxLength: 500 },
+  icon: { type: "string", maxLength: 100 },
+  sortOrder: { type: "number", integer: true, min: 0 },
+  isActive: { type: "boolean" },
+};
+
+const planFields = {
+  name: { type: "string", minLength: 2, maxLength: 80 },
+  description: { type: "string", maxLength: 500 },
+  amount: { type: "number", integer: true, min: 1 }, // Minor units (paisa, cents)
+  currency: { type: "string", pattern: /^[a-z]{3}$/i },
+  interval: { type: "string", nullable: true, enum: ["month", "year"] },
+  regions: { type: "array", maxItems: 250, items: { type: "string", pattern: /^[A-Za-z]{2}$/ } },
+  isActive: { type: "boolean" },
+  sortOrder: { type: "number", integer: true, min: 0 },
+};
+
+const promoCodeFields = {
+  description: { type: "string", maxLength: 500 },
+  planIds: { type: "array", maxItems: 50, items: { type: "objectId" } },
+  expiresAt: { type: "date", nullable: true },
+  maxRedemptions: { type: "number", integer: true, min: 1, nullable: true },
+  isActive: { type: "boolean" },
+};
+
+// Either a reason code or a free-text reason; "other" needs a description
+const reportReasonFields = {
+  reasonCode: { type: "string", allowEmpty: true, enum: Object.keys(REPORT_REASONS) }, // "" = use reason
+  reason: { type: "string", maxLength: 1000 },
+};
+const refineReportReason = ({ body }) => {
+  const details = typeof body.reason === "string" ? body.reason.trim() : "";
+  if (!body.reasonCode && !details) {
+    return [{ location: "body", field: "reason", code: "required", message: "reason or reasonCode is required" }];
+  }
+  if (body.reasonCode === "other" && !details) {
+    return [{ location: "body", field: "reason", code: "required", message: "reason is required when reasonCode is other" }];
+  }
+  return [];
+};
+
+const schemas = {
+  createReport: {
+    body: { lessonId: { type: "objectId", required: true }, ...reportReasonFields },
+    refine: refineReportReason,
+  },
+  listAdminReports: {
+    query: {
+      lessonId: { type: "objectId" },
+      status: { type: "string", enum: [...Object.keys(REPORT_TRANSITIONS), "active"] },
+      reasonCode: { type: "string", enum: Object.keys(REPORT_REASONS) },
+      targetType: { type: "string", enum: ["lesson", "comment"] },
+      ...sortQuery("newest", "oldest"),
+      ...paginationQuery,
+    },
+  },
+  updateReport: {
+    params: idParam(),
+    body: {
+      status: { type: "string", required: true, enum: Object.keys(REPORT_TRANSITIONS) },
+      resolutionNotes: { type: "string", maxLength: 2000 },
+    },
+  },
+  dismissReport: {
+    params: idParam(),
+    body: { resolutionNotes: { type: "string", maxLength: 2000 } },
+  },
+  syncUser: {
+    params: { email: { type: "email", required: true } },
+    body: {
+      name: { type: "string", maxLength: 80 },
+      photo: { type: "url", allowEmpty: true, maxLength: 2048 },
+      uid: { type: "string", maxLength: 128 },
+    },
+  },
+  listAdminUsers: {
+    query: { ...sortQuery("newest", "oldest"), ...paginationQuery },
+  },
+  updateUserRole: {
+    params: idParam(),
+    body: { role: { type: "string", required: true, enum: ["user", "admin"] } },
+  },
+  deleteById: {
+    params: idParam(),
+    query: dryRunQuery,
+  },
+  listAdminLessons: {
+    query: {
+      category: { type: "string", maxLength: 50 },
+      visibility: { type: "string", enum: LESSON_VISIBILITIES },
+      flagged: { type: "string", enum: ["true", "false"] },
+      ...sortQuery("newest", "oldest", "popular"),
+      ...paginationQuery,
+    },
+  },
+  listStripeEvents: {
+    query: {
+      status: { type: "string", enum: ["pending", "processing", "processed", "failed", "all"] },
+      type: { type: "string", maxLength: 100 },
+      ...sortQuery("newest", "oldest"),
+      ...paginationQuery,
+    },
+  },
+  replayStripeEvent: {
+    params: { id: { type: "string", required: true, pattern: /^evt_\w+$/ } },
+    body: { force: { type: "boolean" } },
+  },
+  updateProfile: {
+    body: {
+      name: { type: "string", minLength: 1, maxLength: 80 },
+      photo: { type: "objectId", allowEmpty: true, nullable: true }, // Uploaded asset ID
+    },
+    strict: ["body"],
+  },
+  bulkLessons: {
+    query: dryRunQuery,
+    body: {
+      action: { type: "string", required: true, enum: Object.keys(BULK_LESSON_ACTIONS) },
+      ids: { type: "array", maxItems: BULK_MAX_IDS, items: { type: "objectId" } },
+      filter: {
+        type: "object",
+        properties: {
+          category: { type: "string", maxLength: 50 },
+          visibility: { type: "string", enum: LESSON_VISIBILITIES },
+          flagged: { type: "boolean" },
+        },
+      },
+    },
+    strict: ["body"],
+  },
+  listJobs: {
+    query: {
+      status: { type: "string", enum: ["queued", "running", "completed", "failed"] },
+      ...paginationQuery,
+    },
+  },
+  getJob: {
+    params: idParam(),
+    query: { results: { type: "string", enum: ["true", "false"] } },
+  },
+  uploadImage: {
+    params: { purpose: { type: "string", required: true, enum: UPLOAD_PURPOSES } },
+  },
+  collectAssets: {
+    query: dryRunQuery,
+  },
+  authorParam: {
+    params: { email: { type: "email", required: true } },
+  },
+  listFollows: {
+    params: { email: { type: "email", required: true } },
+    query: { ...sortQuery("newest", "oldest"), ...paginationQuery },
+  },
+  paginated: {
+    query: paginationQuery,
+  },
+  listNotifications: {
+    query: { unread: { type: "string", enum: ["true", "false"] }, ...paginationQuery },
+  },
+  notificationId: {
+    params: idParam(),
+  },
+  updateNotificationPreferences: {
+    body: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, { type: "boolean" }])),
+    strict: ["body"],
+  },
+  myLessons: {
+    query: { status: { type: "string", enum: ["draft", "private", "scheduled", "published"] } },
+  },
+  createLesson: {
+    body: {
+      ...lessonFields,
+      title: { ...lessonFields.title, required: true },
+      description: { ...lessonFields.description, required: true },
+      category: { ...lessonFields.category, required: true },
+      emotionalTone: { ...lessonFields.emotionalTone, required: true },
+    },
+  },
+  listLessons: {
+    query: {
+      category: { type: "string", maxLength: 50 },
+      emotionalTone: { type: "string", maxLength: 50 },
+      search: { type: "string", maxLength: 200 },
+      tags: { type: "string", maxLength: 500 },
+      tagMatch: { type: "string", enum: ["any", "all"] },
+      featured: { type: "string", enum: ["true", "false"] },
+      creatorEmail: { type: "email" },
+      ...sortQuery("newest", "oldest", "popular", "relevance"),
+      ...paginationQuery,
+    },
+  },
+  lessonId: {
+    params: idParam(),
+  },
+  suggestTags: {
+    query: {
+      q: { type: "string", required: true, minLength: 1, maxLength: 50 },
+      limit: { type: "number", integer: true, min: 1, max: 20 },
+    },
+  },
+  trendingTags: {
+    query: {
+      days: { type: "number", integer: true, min: 1, max: 90 },
+      limit: { type: "number", integer: true, min: 1, max: 50 },
+    },
+  },
+  relatedLessons: {
+    params: idParam(),
+    query: { limit: { type: "number", integer: true, min: 1, max: 20 } },
+  },
+  checkout: {
+    body: {
+      planId: { type: "objectId" },
+      plan: { type: "string", maxLength: 60 }, // Legacy: plan key
+      promoCode: { type: "string", maxLength: 40 },
+      region: { type: "string", pattern: /^[A-Za-z]{2}$/ },
+    },
+  },
+  updateLesson: {
+    params: idParam(),
+    body: {
+      ...lessonFields,
+      isFeatured: { type: "boolean" },
+      isReviewed: { type: "boolean" },
+      isHidden: { type: "boolean" },
+    },
+  },
+  listRevisions: {
+    params: idParam(),
+    query: paginationQuery,
+  },
+  diffRevisions: {
+    params: idParam(),
+    query: {
+      from: { type: "number", required: true, integer: true, min: 0 },
+      to: { type: "number", integer: true, min: 0 },
+    },
+  },
+  restoreRevision: {
+    params: { ...idParam(), revision: { type: "number", required: true, integer: true, min: 0 } },
+  },
+  lessonStream: {
+    params: idParam(),
+    query: {
+      token: { type: "string", maxLength: 4096 },
+      lastEventId: { type: "objectId" },
+    },
+  },
+  userStream: {
+    query: {
+      token: { type: "string", maxLength: 4096 },
+      lastEventId: { type: "objectId" },
+    },
+  },
+  listComments: {
+    params: idParam(),
+    query: { ...sortQuery("newest", "oldest"), ...paginationQuery },
+  },
+  createComment: {
+    params: idParam(),
+    body: {
+      text: { type: "string", required: true, maxLength: MAX_COMMENT_LENGTH },
+      parentId: { type: "objectId", nullable: true },
+    },
+  },
+  commentId: {
+    params: idParam(),
+  },
+  editComment: {
+    params: idParam(),
+    body: { text: { type: "string", required: true, maxLength: MAX_COMMENT_LENGTH } },
+  },
+  reportComment: {
+    params: idParam(),
+    body: reportReasonFields,
+    refine: refineReportReason,
+  },
+  createTaxonomyEntry: {
+    body: {
+      kind: { type: "string", required: true, enum: Object.keys(TAXONOMY_FIELDS) },
+      ...taxonomyFields,
+      name: { ...taxonomyFields.name, required: true },
+    },
+    strict: ["body"],
+  },
+  updateTaxonomyEntry: {
+    params: idParam(),
+    body: taxonomyFields,
+    strict: ["body"],
+  },
+  listPlans: {
+    query: { region: { type: "string", pattern: /^[A-Za-z]{2}$/ } },
+  },
+  createPlan: {
+    body: {
+      ...planFields,
+      key: { type: "string", required: true, maxLength: 60, pattern: /^[a-z0-9-]+$/ },
+      name: { ...planFields.name, required: true },
+      amount: { ...planFields.amount, required: true },
+      currency: { ...planFields.currency, required: true },
+    },
+    strict: ["body"],
+  },
+  updatePlan: {
+    params: idParam(),
+    body: planFields,
+    strict: ["body"],
+  },
+  createPromoCode: {
+    body: {
+      ...promoCodeFields,
+      code: { type: "string", required: true, pattern: /^[A-Za-z0-9_-]{3,40}$/ },
+      percentOff: { type: "number", integer: true, min: 1, max: 100 },
+      amountOff: { type: "number", integer: true, min: 1 },
+      currency: { type: "string", pattern: /^[a-z]{3}$/i },
+    },
+    strict: ["body"],
+    // Exactly one kind of discount; fixed amounts need a currency
+    refine: ({ body }) => {
+      const hasPercent = body.percentOff !== undefined;
+      const hasAmount = body.amountOff !== undefined;
+      if (hasPercent === hasAmount) {
+        return [{ location: "body", field: "percentOff", code: "required", message: "Provide either percentOff or amountOff" }];
+      }
+      if (hasAmount && !body.currency) {
+        return [{ location: "body", field: "currency", code: "required", message: "currency is required with amountOff" }];
+      }
+      return [];
+    },
+  },
+  updatePromoCode: {
+    params: idParam(),
+    body: promoCodeFields,
+    strict: ["body"],
+  },
+  paymentHistory: {
+    query: { ...sortQuery("newest", "oldest"), ...paginationQuery },
+  },
+  listPayments: {
+    query: {
+      status: { type: "string", enum: ["paid", "partially_refunded", "refunded", "disputed"] },
+      type: { type: "string", enum: ["one_time", "subscription"] },
+      plan: { type: "string", maxLength: 60 },
+      userEmail: { type: "email" },
+      currency: { type: "string", pattern: /^[a-z]{3}$/i },
+      from: { type: "date" },
+      to: { type: "date" },
+      ...sortQuery("newest", "oldest"),
+      ...paginationQuery,
+    },
+  },
+  adminMetrics: {
+    query: {
+      interval: { type: "string", enum: Object.keys(METRICS_INTERVALS) },
+      from: { type: "date" },
+      to: { type: "date" },
+    },
+  },
+  listAuditLog: {
+    query: {
+      actorEmail: { type: "email" },
+      action: { type: "string", enum: AUDIT_ACTIONS },
+      targetType: {
+        type: "string",
+        enum: [
+          "user",
+          "lesson",
+          "comment",
+          "report",
+          "taxonomy",
+          "stripe_event",
+          "rate_limit",
+          "plan",
+          "promo_code",
+          "job",
+          "asset",
+        ],
+      },
+      targetId: { type: "string", maxLength: 320 },
+      from: { type: "date" },
+      to: { type: "date" },
+      ...sortQuery("newest", "oldest"),
+      ...paginationQuery,
+    },
+  },
+  listRateLimits: {
+    query: {
+      identity: { type: "string", maxLength: 320, pattern: /^(user|ip):/ },
+      group: { type: "string", enum: Object.keys(DEFAULT_RATE_LIMITS) },
+      all: { type: "string", enum: ["true", "false"] },
+    },
+  },
+  clearRateLimit: {
+    params: { identity: { type: "string", required: true, maxLength: 320, pattern: /^(user|ip):/ } },
+    query: { group: { type: "string", enum: Object.keys(DEFAULT_RATE_LIMITS) } },
+  },
+  taxonomyEntryId: {
+    params: idParam(),
+  },
+  mergeTaxonomyEntry: {
+    params: idParam(),
+    body: { targetId: { type: "objectId", required: true } },
+  },
+  myFavorites: {
+    query: {
+      category: { type: "string", maxLength: 50 },
+      emotionalTone: { type: "string", maxLength: 50 },
+      tags: { type: "string", maxLength: 500 },
+      tagMatch: { type: "string", enum: ["any", "all"] },
+      ...sortQuery("newest", "oldest", "popular"),
+      ...paginationQuery,
+    },
+  },
+};
+
+// Verify a Firebase ID token and build the request user from the database
+async function getUserFromToken(token) {
+  const decodedToken = await admin.auth().verifyIdToken(token);
+
+  // Sync user with database
+  const usersCollection = getUsersCollection();
+  const email = decodedToken.email;
+
+  let user = await usersCollection.findOne({ email });
+
+  return {
+    email: email,
+    uid: decodedToken.uid,
+    role: user ? user.role : "user", // Default to user if not found
+    isPremium: hasActivePremium(user), // False if not found or grace period expired
+  };
+}
+
+// JWT Verification Middleware
+async function verifyToken(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      return res
+        .status(401)
+        .json({ error: "Unauthorized - No token provided" });
+    }
+
+    const token = authHeader.split(" ")[1];
+
+    // Attach user info to request
+    req.user = await getUserFromToken(token);
+
+    next();
+  } catch (error) {
+    console.error("Token verification error:", error);
+    return res.status(401).json({ error: "Unauthorized - Invalid token" });
+  }
+}
+
+// Optional auth for SSE streams: EventSource cannot send headers, so the
+// same Firebase token may also be passed as ?token=. Sets req.user or null.
+async function resolveStreamUser(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const token =
+    authHeader && authHeader.startsWith("Bearer ")
+      ? authHeader.split(" ")[1]
+      : req.query.token;
+
+  req.user = null;
+  if (!token) return next();
+
+  try {
+    req.user = await getUserFromToken(token);
+    next();
+  } catch (error) {
+    console.error("Stream token verification error:", error);
+    return res.status(401).json({ error: "Unauthorized - Invalid token" });
+  }
+}
+
+// Optional auth for public listings: an invalid token just means anonymous
+async function getOptionalViewer(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+  try {
+    return await getUserFromToken(authHeader.split(" ")[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Admin Verification Middleware
+async function verifyAdmin(req, res, next) {
+  if (req.user && req.user.role === "admin") {
+    next();
+  } else {
+    res.status(403).json({ error: "FORBIDDEN ACCESS - Admin Only" });
+  }
+};
+
+/*
+ * REPORTING SYSTEM ROUTES
+ */
+
+// Public: List report reason codes
+app.get("/api/report-reasons", (req, res) => {
+  res.json(
+    Object.entries(REPORT_REASONS).map(([code, label]) => ({ code, label }))
+  );
+});
+
+// User reports a lesson
+app.post("/api/reports", verifyToken, rateLimit("reports"), validate(schemas.createReport), async (req, res) => {
+  try {
+    const { ObjectId } = require("mongodb");
+    const { lessonId } = req.body;
+
+    if (!ObjectId.isValid(lessonId)) {
+      return res.status(400).json({ error: "Invalid lesson ID" });
+    }
+
+    const parsed = parseReportReason(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const lesson = await getLessonsCollection().findOne(
+      { _id: new ObjectId(lessonId) },
+      { projection: { _id: 1 } }
+    );
+    if (!lesson) {
+      return res.status(404).json({ error: "Lesson not found" });
+    }
+
+    const result = await createReport({
+      targetType: "lesson",
+      lessonId: lesson._id,
+      reasonCode: parsed.reasonCode,
+      details: parsed.details,
+      reporterEmail: req.user.email,
+    });
+
+    if (result.duplicate) {
+      return res.status(409).json({
+        error: "You already have an open report for this lesson",
+        reportId: result.report._id,
+      });
+    }
+
+    res.status(201).json({
+      message: "Report submitted successfully",
+      reportId: result.report._id,
+    });
+  } catch (error) {
+    console.error("Error reporting lesson:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Reporter: See own reports and their outcome
+app.get("/api/my-reports", verifyToken, async (req, res) => {
+  try {
+    const reportsCollection = getReportsCollection();
+    const reports = await reportsCollection
+      .aggregate([
+        { $match: { reporterEmail: req.user.email } },
+        { $sort: { createdAt: -1 } },
+        {
+          $lookup: {
+            from: "lessons",
+            localField: "lessonId",
+            foreignField: "_id",
+            as: "lesson",
+          },
+        },
+        { $unwind: { path: "$lesson", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            targetType: 1,
+            lessonId: 1,
+            commentId: 1,
+            reasonCode: 1,
+            reason: 1,
+            status: 1,
+            resolutionNotes: 1,
+            resolvedAt: 1,
+            createdAt: 1,
+            updatedAt: 1,
+            "lesson.title": 1,
+          },
+        },
+      ])
+      .toArray();
+
+    res.json(reports);
+  } catch (error) {
+    console.error("Error fetching user reports:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Admin: Get all reports (optionally filter by lessonId)
+app.get("/api/admin/reports", verifyToken, verifyAdmin, validate(schemas.listAdminReports), async (req, res) => {
+  try {
+    const { ObjectId } = require("mongodb");
+    const reportsCollection = getReportsCollection();
+    const { lessonId, status, reasonCode, targetType } = req.query;
+
+    // Build Aggregation Pipeline
+    const pipeline = [];
+
+    // 1. Filter by specific lesson, status, reason or target type (optional)
+    const match = {};
+    if (lessonId) {
+      if (!ObjectId.isValid(lessonId)) {
+        return res.status(400).json({ error: "Invalid lesson ID" });
+      }
+      match.lessonId = new ObjectId(lessonId);
+    }
+    if (status === "active") {
+      match.status = { $in: ACTIVE_REPORT_STATUSES };
+    } else if (status) {
+      match.status = status;
+    }
+    if (reasonCode) {
+      match.reasonCode = reasonCode;
+    }
+    if (targetType === "comment") {
+      match.targetType = "comment";
+    } else if (targetType === "lesson") {
+      match.targetType = { $ne: "comment" };
+    }
+    if (Object.keys(match).length > 0) {
+      pipeline.push({ $match: match });
+    }
+
+    // 2. Lookup Lesson Details (only for the returned page)
+    const lessonLookup = [
+      {
+        $lookup: {
+          from: "lessons",
+          localField: "lessonId",
+          foreignField: "_id",
+          as: "lesson"
+        }
+      },
+      // 3. Unwind Lesson (keep report even if lesson deleted)
+      {
+        $unwind: {
+          path: "$lesson",
+          preserveNullAndEmptyArrays: true
+        }
+      },
+      // Reported comment details (comment reports only)
+      {
+        $lookup: {
+          from: "comments",
+          localField: "commentId",
+          foreignField: "_id",
+          as: "comment"
+        }
+      },
+      {
+        $unwind: {
+          path: "$comment",
+          preserveNullAndEmptyArrays: true
+        }
+      }
+    ];
+
+    // Legacy clients (no pagination params) receive the full array
+    if (!wantsPagination(req.query)) {
+      // 4. Sort by Newest Report
+      const reports = await reportsCollection
+        .aggregate([...pipeline, ...lessonLookup, { $sort: { createdAt: -1 } }])
+        .toArray();
+      return res.json(reports);
+    }
+
+    const sortKey = req.query.sort === "oldest" ? "oldest" : "newest";
+    const { field, direction } = LESSON_SORTS[sortKey];
+    const result = await paginateAggregate(reportsCollection, pipeline, {
+      params: getPaginationParams(req.query, { defaultLimit: 20 }),
+      sortKey,
+      field,
+      direction,
+      postPipeline: lessonLookup,
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ reports: result.items, pagination: result.pagination });
+  } catch (error) {
+    console.error("Error fetching reports:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Move a report through the workflow. Returns { report } or { error, status }.
+async function transitionReport(reportId, nextStatus, adminEmail, resolutionNotes) {
+  const reportsCollection = getReportsCollection();
+  const report = await reportsCollection.findOne({ _id: reportId });
+
+  if (!report) {
+    return { status: 404, error: "Report not found" };
+  }
+
+  // Legacy reports have no status and are treated as open
+  const currentStatus = report.status || "open";
+  if (!REPORT_TRANSITIONS[currentStatus].includes(nextStatus)) {
+    return {
+      status: 409,
+      error: `Cannot move report from ${currentStatus} to ${nextStatus}`,
+    };
+  }
+
+  const now = new Date();
+  const updateFields = { status: nextStatus, updatedAt: now };
+
+  if (nextStatus === "in_review") {
+    updateFields.reviewerEmail = adminEmail;
+    updateFields.reviewStartedAt = now;
+  } else if (nextStatus === "actioned" || nextStatus === "dismissed") {
+    updateFields.resolvedBy = adminEmail;
+    updateFields.resolvedAt = now;
+  }
+  if (typeof resolutionNotes === "string") {
+    updateFields.resolutionNotes = resolutionNotes.trim();
+  }
+
+  // Only from the status read above: a concurrent transition wins
+  // (missing legacy statuses match null)
+  const { matchedCount } = await reportsCollection.updateOne(
+    { _id: reportId, status: report.status ?? null },
+    { $set: updateFields }
+  );
+  if (matchedCount === 0) {
+    return {
+      status: 409,
+      error: "Report was updated by someone else, reload and try again",
+    };
+  }
+
+  // Once every report is dismissed, an auto-hidden lesson becomes visible again
+  if (nextStatus === "dismissed" && report.targetType !== "comment") {
+    const remaining = await reportsCollection.countDocuments({
+      ...lessonReportFilter(report.lessonId),
+      status: { $in: [...ACTIVE_REPORT_STATUSES, "actioned"] },
+    });
+    if (remaining === 0) {
+      await getLessonsCollection().updateOne(
+        { _id: report.lessonId, hiddenReason: "reports" },
+        { $set: { isHidden: false, hiddenReason: null, hiddenAt: null } }
+      );
+    }
+  }
+
+  // Let the reporter know the outcome
+  if (nextStatus === "actioned" || nextStatus === "dismissed") {
+    const lesson = await getLessonsCollection().findOne(
+      { _id: report.lessonId },
+      { projection: { title: 1 } }
+    );
+    await notify({
+      recipientEmail: report.reporterEmail,
+      type: "report_resolved",
+      lessonId: report.lessonId,
+      reportId: report._id,
+      data: {
+        lessonTitle: lesson ? lesson.title : null,
+        status: nextStatus,
+        resolutionNotes: updateFields.resolutionNotes || "",
+      },
+    });
+  }
+
+  return { report: { ...report, ...updateFields }, previousStatus: currentStatus };
+}
+
+// Admin: Update report status (in_review, actioned, dismissed) with notes
+app.patch(
+  "/api/admin/reports/:id",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.updateReport),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const { status, resolutionNotes } = req.body;
+
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: "Invalid report ID" });
+      }
+
+      if (!REPORT_TRANSITIONS[status]) {
+        return res.status(400).json({ error: "Invalid report status" });
+      }
+
+      const result = await transitionReport(
+        new ObjectId(req.params.id),
+        status,
+        req.user.email,
+        resolutionNotes
+      );
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await recordAudit(req, {
+        action: "report.status_changed",
+        targetType: "report",
+        targetId: result.report._id,
+        before: { status: result.previousStatus },
+        after: {
+          status: result.report.status,
+          resolutionNotes: result.report.resolutionNotes,
+        },
+      });
+
+      res.json({ message: `Report ${status}`, report: result.report });
+    } catch (error) {
+      console.error("Error updating report:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: Resolve report (legacy - dismisses instead of erasing)
+app.delete(
+  "/api/admin/reports/:id",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.dismissReport),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: "Invalid report ID" });
+      }
+
+      const result = await transitionReport(
+        new ObjectId(req.params.id),
+        "dismissed",
+        req.user.email,
+        req.body && req.body.resolutionNotes
+      );
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await recordAudit(req, {
+        action: "report.status_changed",
+        targetType: "report",
+        targetId: result.report._id,
+        before: { status: result.previousStatus },
+        after: {
+          status: result.report.status,
+          resolutionNotes: result.report.resolutionNotes,
+        },
+      });
+
+      res.json({ message: "Report deleted/resolved", report: result.report });
+    } catch (error) {
+      console.error("Error deleting report:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: Get aggregated reported lessons
+app.get(
+  "/api/admin/reported-lessons",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    try {
+      const reportsCollection = getReportsCollection();
+      const reportedLessons = await reportsCollection
+        .aggregate([
+          {
+            $match: {
+              targetType: { $ne: "comment" },
+              status: { $in: ACTIVE_REPORT_STATUSES },
+            },
+          },
+          { $group: { _id: "$lessonId", reportCount: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: "lessons",
+              localField: "_id",
+              foreignField: "_id",
+              as: "lessonDetails",
+            },
+          },
+          { $unwind: "$lessonDetails" },
+          {
+            $project: {
+              _id: "$lessonDetails._id",
+              title: "$lessonDetails.title",
+              creatorEmail: "$lessonDetails.creatorEmail",
+              isHidden: "$lessonDetails.isHidden",
+              reportCount: 1,
+            },
+          },
+        ])
+        .toArray();
+
+      res.json(reportedLessons);
+    } catch (error) {
+      console.error("Error fetching reported lessons:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/*
+ * users collection schema
+ * {
+ *   _id: ObjectId,
+ *   name: String,
+ *   email: String,
+ *   photo: String,
+ *   role: 'user' | 'admin',
+ *   isPremium: Boolean,
+ *   premiumPlan: 'lifetime' (any one-time plan) | subscription plan key ('monthly', 'yearly', ...) | null,
+ *   premiumGraceUntil: Date | null, // Set after a failed renewal payment
+ *   stripeCustomerId: String,
+ *   subscription: { id, status, plan, currentPeriodEnd, cancelAtPeriodEnd, updatedAt },
+ *   favorites: [String], // Array of Lesson IDs
+ *   followersCount: Number,
+ *   followingCount: Number,
+ *   notificationPreferences: { [type]: Boolean }, // Missing = enabled
+ *   createdAt: Date
+ * }
+ *
+ * lessons collection schema
+ * {
+ *   _id: ObjectId,
+ *   title: String,
+ *   description: String, // Markdown source
+ *   descriptionHtml: String, // Rendered + sanitized on write
+ *   excerpt: String, // Plain text, returned by list endpoints instead of the body
+ *   wordCount: Number,
+ *   readingTimeMinutes: Number,
+ *   category: String,
+ *   emotionalTone: String,
+ *   image: String,
+ *   visibility: 'public' | 'private' | 'draft',
+ *   publishAt: Date | null, // Scheduled release (public lessons only appear after it)
+ *   accessLevel: 'free' | 'premium',
+ *   creatorEmail: String,
+ *   likesCount: Number,
+ *   likes: [String], // Array of User Emails
+ *   createdAt: Date
+ * }
+ *
+ * comments collection schema
+ * {
+ *   _id: ObjectId,
+ *   lessonId: ObjectId,
+ *   parentId: ObjectId | null, // Direct parent for replies
+ *   rootId: ObjectId | null, // Top-level comment of the thread
+ *   depth: Number,
+ *   userEmail: String | null,
+ *   userName: String,
+ *   userPhoto: String,
+ *   text: String,
+ *   likes: [String], // Array of User Emails
+ *   likesCount: Number,
+ *   replyCount: Number,
+ *   editedAt: Date | null,
+ *   isDeleted: Boolean, // Tombstone kept while replies exist
+ *   createdAt: Date
+ * }
+ */
+
+/*
+ * ADMIN ROUTES
+ * Middleware Chain: verifyToken -> verifyAdmin
+ */
+
+// Sync/Create User (Call this after Firebase Login)
+app.post("/api/users/:email", verifyToken, rateLimit("account"), validate(schemas.syncUser), async (req, res) => {
+  try {
+    const usersCollection = getUsersCollection();
+    const { email } = req.params;
+    const { name, photo, uid } = req.body;
+
+    if (email !== req.user.email) {
+      return res.status(403).json({ error: "Forbidden access" });
+    }
+
+    // Check if user exists
+    const existingUser = await usersCollection.findOne({ email });
+
+    if (existingUser) {
+      return res.json({ message: "User already exists", user: existingUser });
+    }
+
+    // Create new user
+    const newUser = {
+      name: name || "Anonymous",
+      email: email,
+      photo: photo || "",
+      photo: photo || "",
+      uid: uid || "", // Optional: store firebase UID
+      role: "user",
+      favorites: [],
+      isPremium: false,
+      createdAt: new Date(),
+    };
+
+    const result = await usersCollection.insertOne(newUser);
+    newUser._id = result.insertedId;
+
+    res.status(201).json({ message: "User created", user: newUser });
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get all users (Admin)
+app.get("/api/admin/users", verifyToken, verifyAdmin, validate(schemas.listAdminUsers), async (req, res) => {
+  try {
+    const usersCollection = getUsersCollection();
+
+    // Legacy clients (no pagination params) receive the full array
+    if (!wantsPagination(req.query)) {
+      const users = await usersCollection.find().toArray();
+      return res.json(users);
+    }
+
+    const sortKey = req.query.sort === "oldest" ? "oldest" : "newest";
+    const { field, direction } = LESSON_SORTS[sortKey];
+    const result = await paginateAggregate(usersCollection, [], {
+      params: getPaginationParams(req.query, { defaultLimit: 20 }),
+      sortKey,
+      field,
+      direction,
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ users: result.items, pagination: result.pagination });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update user role (Make Admin)
+app.patch(
+  "/api/admin/users/:id/role",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.updateUserRole),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const usersCollection = getUsersCollection();
+
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+
+      const userId = new ObjectId(req.params.id);
+      const { role } = req.body;
+
+      if (role !== "admin" && role !== "user") {
+        return res.status(400).json({ error: "Invalid role" });
+      }
+
+      const user = await usersCollection.findOne({ _id: userId });
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      if (user.email === req.user.email) {
+        return res.status(403).json({ error: "You cannot change your own role" });
+      }
+
+      // Demoting: keep at least one admin (checked in the same transaction)
+      if (user.role === "admin" && role !== "admin") {
+        const demoted = await runCleanupPlan(
+          [
+            {
+              key: "users",
+              collection: getUsersCollection,
+              op: "updateMany",
+              filter: { _id: userId, role: "admin" },
+              update: { $set: { role: role } },
+            },
+          ],
+          { guard: otherAdminGuard(userId) }
+        );
+        if (!demoted) {
+          return res
+            .status(409)
+            .json({ error: "Cannot remove the last remaining admin" });
+        }
+      } else {
+        await usersCollection.updateOne({ _id: userId }, { $set: { role: role } });
+      }
+
+      if (user.role !== role) {
+        await recordAudit(req, {
+          action: "user.role_changed",
+          targetType: "user",
+          targetId: userId,
+          before: { role: user.role || "user" },
+          after: { role },
+          metadata: { email: user.email },
+        });
+      }
+
+      res.json({ message: `User role updated to ${role}` });
+    } catch (error) {
+      console.error("Error updating user role:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Delete User (Admin)
+app.delete(
+  "/api/admin/users/:id",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.deleteById),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const usersCollection = getUsersCollection();
+
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+
+      const userId = new ObjectId(req.params.id);
+      const user = await usersCollection.findOne({ _id: userId });
+
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      if (user.email === req.user.email) {
+        return res.status(403).json({ error: "You cannot delete your own account" });
+      }
+
+      if (user.role === "admin") {
+        const adminCount = await usersCollection.countDocuments({ role: "admin" });
+        if (adminCount <= 1) {
+          return res
+            .status(409)
+            .json({ error: "Cannot remove the last remaining admin" });
+        }
+      }
+
+      // Re-checked inside the deletion transaction
+      const guard = user.role === "admin" ? otherAdminGuard(userId) : undefined;
+
+      // Remove the user, their lessons, and anonymize their activity
+      const dryRun = req.query.dryRun === "true";
+      const steps = await buildUserCleanupSteps(user);
+      const summary = await runCleanupPlan(steps, { dryRun, guard });
+
+      if (!summary) {
+        return res
+          .status(409)
+          .json({ error: "Cannot remove the last remaining admin" });
+      }
+
+      if (dryRun) {
+        return res.json({ dryRun: true, wouldRemove: summary });
+      }
+
+      for (const step of steps) {
+        if (step.key !== "lessons") continue;
+        for (const lessonId of step.filter._id.$in) {
+          await publishLiveEvent(`lesson:${lessonId}`, "lesson.deleted", { lessonId });
+        }
+      }
+
+      await recordAudit(req, {
+        action: "user.deleted",
+        targetType: "user",
+        targetId: userId,
+        before: { email: user.email, name: user.name, role: user.role || "user" },
+        metadata: { removed: summary },
+      });
+
+      res.json({ message: "User deleted successfully", removed: summary });
+    } catch (error) {
+      console.error("Error deleting user:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get all lessons (Admin) with filtering
+app.get("/api/admin/lessons", verifyToken, verifyAdmin, validate(schemas.listAdminLessons), async (req, res) => {
+  try {
+    const lessonsCollection = getLessonsCollection();
+    const filter = await buildAdminLessonFilter(req.query);
+
+    // Legacy clients (no pagination params) receive the full array
+    if (!wantsPagination(req.query)) {
+      const lessons = await lessonsCollection
+        .find(filter)
+        .project(LESSON_BODY_FIELDS)
+        .toArray();
+      return res.json(lessons);
+    }
+
+    const sortKey = ["oldest", "popular"].includes(req.query.sort)
+      ? req.query.sort
+      : "newest";
+    const { field, direction } = LESSON_SORTS[sortKey];
+    const result = await paginateAggregate(
+      lessonsCollection,
+      [{ $match: filter }, { $project: LESSON_BODY_FIELDS }],
+      {
+        params: getPaginationParams(req.query, { defaultLimit: 20 }),
+        sortKey,
+        field,
+        direction,
+      }
+    );
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ lessons: result.items, pagination: result.pagination });
+  } catch (error) {
+    console.error("Error fetching admin lessons:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Admin: apply feature/unfeature/review/hide/unhide/delete to many lessons
+// ({ action, ids } or { action, filter }; ?dryRun=true previews per-item outcomes)
+app.post(
+  "/api/admin/lessons/bulk",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.bulkLessons),
+  async (req, res) => {
+    try {
+      const { action, ids, filter } = req.body;
+
+      if (Boolean(ids) === Boolean(filter)) {
+        return res.status(422).json({
+          error: "Validation failed",
+          errors: [
+            {
+              location: "body",
+              field: "ids",
+              code: "required",
+              message: "Send either ids or filter",
+            },
+          ],
+        });
+      }
+
+      const selection = await resolveBulkTargets({ ids, filter });
+      if (selection.error) {
+        return res.status(422).json({ error: selection.error });
+      }
+      const { lessonIds } = selection;
+
+      if (req.query.dryRun === "true") {
+        return res.json({
+          dryRun: true,
+          action,
+          ...(await previewBulkAction(action, lessonIds)),
+        });
+      }
+
+      const actor = {
+        email: req.user.email,
+        role: req.user.role,
+        ip: req.ip,
+        userAgent: req.get("user-agent") || "",
+      };
+
+      // Small batches run within the request
+      if (lessonIds.length <= BULK_INLINE_LIMIT) {
+        const results = await applyBulkLessonActions(action, lessonIds, actor);
+        const summary = summarizeResults(results);
+
+        await recordAudit(req, {
+          action: "lesson.bulk_action",
+          targetType: "lesson",
+          metadata: { action, total: lessonIds.length, lessonIds, summary },
+        });
+
+        return res.json({ action, total: lessonIds.length, summary, results });
+      }
+
+      const job = {
+        type: "lessons.bulk",
+        action,
+        selection: ids ? { ids: lessonIds.length } : { filter },
+        lessonIds,
+        status: "queued",
+        total: lessonIds.length,
+        processed: 0,
+        summary: {},
+        results: [],
+        actor,
+        lockedUntil: new Date(0),
+        createdAt: new Date(),
+      };
+      const { insertedId } = await getJobsCollection().insertOne(job);
+
+      await recordAudit(req, {
+        action: "lesson.bulk_action",
+        targetType: "job",
+        targetId: insertedId,
+        metadata: { action, total: job.total },
+      });
+
+      res.status(202).json({
+        message: "Bulk action queued",
+        jobId: insertedId,
+        total: job.total,
+        statusUrl: `/api/admin/jobs/${insertedId}`,
+      });
+
+      // Start now; progress checks, the jobs cron or the timer resume it if this instance stops
+      runBulkJob(insertedId).catch((error) =>
+        console.error(`Error starting job ${insertedId}:`, error)
+      );
+    } catch (error) {
+      console.error("Error running bulk lesson action:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: background jobs, newest first (?status=)
+app.get(
+  "/api/admin/jobs",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.listJobs),
+  async (req, res) => {
+    try {
+      const filter = req.query.status ? { status: req.query.status } : {};
+      const result = await paginateAggregate(
+        getJobsCollection(),
+        [{ $match: filter }, { $project: { lessonIds: 0, results: 0 } }],
+        {
+          params: getPaginationParams(req.query, { defaultLimit: 20 }),
+          sortKey: "newest",
+          ...LESSON_SORTS.newest,
+        }
+      );
+
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({
+        jobs: result.items.map((job) => formatJob(job)),
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error("Error fetching jobs:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: job progress (?results=true adds the per-item results)
+app.get(
+  "/api/admin/jobs/:id",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.getJob),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const includeResults = req.query.results === "true";
+
+      const job = await getJobsCollection().findOne(
+        { _id: new ObjectId(req.params.id) },
+        { projection: includeResults ? { lessonIds: 0 } : { lessonIds: 0, results: 0 } }
+      );
+
+      if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+
+      // Polling a stalled job resumes it (the Vercel cron only runs daily)
+      if (["queued", "running"].includes(job.status) && job.lockedUntil <= new Date()) {
+        runBulkJob(job._id).catch((error) =>
+          console.error(`Error resuming job ${job._id}:`, error)
+        );
+      }
+
+      res.json(formatJob(job, { includeResults }));
+    } catch (error) {
+      console.error("Error fetching job:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Delete Lesson (Admin)
+app.delete(
+  "/api/admin/lessons/:id",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.deleteById),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const lessonsCollection = getLessonsCollection();
+
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: "Invalid lesson ID" });
+      }
+
+      const lessonId = new ObjectId(req.params.id);
+      const lesson = await lessonsCollection.findOne(
+        { _id: lessonId },
+        { projection: { title: 1, creatorEmail: 1 } }
+      );
+
+      if (!lesson) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+
+      // Remove the lesson with its comments, favorites and reports
+      const dryRun = req.query.dryRun === "true";
+      const summary = await runCleanupPlan(
+        buildLessonCleanupSteps([lessonId]),
+        { dryRun }
+      );
+
+      if (dryRun) {
+        return res.json({ dryRun: true, wouldRemove: summary });
+      }
+
+      await publishLiveEvent(`lesson:${lessonId}`, "lesson.deleted", { lessonId });
+
+      await recordAudit(req, {
+        action: "lesson.deleted",
+        targetType: "lesson",
+        targetId: lessonId,
+        before: { title: lesson.title, creatorEmail: lesson.creatorEmail },
+        metadata: { removed: summary },
+      });
+
+      res.json({
+        message: "Lesson deleted successfully by admin",
+        removed: summary,
+      });
+    } catch (error) {
+      console.error("Error deleting lesson (admin):", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: List stored Stripe webhook events (defaults to failed ones)
+app.get(
+  "/api/admin/stripe-events",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.listStripeEvents),
+  async (req, res) => {
+    try {
+      const stripeEventsCollection = getStripeEventsCollection();
+      const { status = "failed", type } = req.query;
+      const filter = {};
+
+      if (status !== "all") {
+        filter.status = status;
+      }
+      if (type) {
+        filter.type = type;
+      }
+
+      const sortKey = req.query.sort === "oldest" ? "oldest" : "newest";
+      const result = await paginateAggregate(
+        stripeEventsCollection,
+        [{ $match: filter }],
+        {
+          params: getPaginationParams(req.query, { defaultLimit: 20 }),
+          sortKey,
+          field: "receivedAt",
+          direction: sortKey === "oldest" ? 1 : -1,
+        }
+      );
+
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({ events: result.items, pagination: result.pagination });
+    } catch (error) {
+      console.error("Error fetching stripe events:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: Replay a stored Stripe webhook event
+app.post(
+  "/api/admin/stripe-events/:id/replay",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.replayStripeEvent),
+  async (req, res) => {
+    try {
+      const stripeEventsCollection = getStripeEventsCollection();
+      const existing = await stripeEventsCollection.findOne(
+        { _id: req.params.id },
+        { projection: { status: 1 } }
+      );
+
+      if (!existing) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      // Already-processed events are only replayed when forced
+      const outcome = await processStripeEvent(req.params.id, {
+        allowProcessed: req.body.force === true,
+      });
+
+      if (outcome.status === "skipped") {
+        return res.status(409).json({
+          error: `Event is ${existing.status} and cannot be replayed`,
+        });
+      }
+
+      const event = await stripeEventsCollection.findOne({ _id: req.params.id });
+
+      await recordAudit(req, {
+        action: "stripe_event.replayed",
+        targetType: "stripe_event",
+        targetId: req.params.id,
+        before: { status: existing.status },
+        after: { status: event.status },
+        metadata: { force: req.body.force === true },
+      });
+
+      res.status(outcome.status === "failed" ? 502 : 200).json({
+        message: `Event ${outcome.status}`,
+        event,
+      });
+    } catch (error) {
+      console.error("Error replaying stripe event:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: every price plan, including inactive ones
+app.get("/api/admin/plans", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const plans = await getPlansCollection()
+      .find()
+      .sort({ sortOrder: 1, amount: 1 })
+      .toArray();
+    res.json(plans);
+  } catch (error) {
+    console.error("Error fetching admin plans:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Admin: create a price plan
+app.post(
+  "/api/admin/plans",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.createPlan),
+  async (req, res) => {
+    try {
+      const { key, name, description, amount, currency, interval, regions, isActive, sortOrder } =
+        req.body;
+      const plan = {
+        key,
+        name: name.trim(),
+        description: description || "",
+        amount,
+        currency: currency.toLowerCase(),
+        interval: interval || null,
+        regions: (regions || []).map((region) => region.toUpperCase()),
+        isActive: isActive ?? true,
+        sortOrder: sortOrder ?? 0,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      const result = await getPlansCollection().insertOne(plan);
+
+      await recordAudit(req, {
+        action: "plan.created",
+        targetType: "plan",
+        targetId: result.insertedId,
+        after: plan,
+      });
+
+      res.status(201).json({ ...plan, _id: result.insertedId });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: "A plan with this key already exists" });
+      }
+      console.error("Error creating plan:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: update a price plan (affects future checkouts only; the key is permanent)
+app.patch(
+  "/api/admin/plans/:id",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.updatePlan),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const plansCollection = getPlansCollection();
+      const plan = await plansCollection.findOne({ _id: new ObjectId(req.params.id) });
+
+      if (!plan) {
+        return res.status(404).json({ error: "Plan not found" });
+      }
+
+      const updateFields = {};
+      for (const field of ["name", "description", "amount", "interval", "isActive", "sortOrder"]) {
+        if (req.body[field] !== undefined) updateFields[field] = req.body[field];
+      }
+      if (req.body.currency !== undefined) {
+        updateFields.currency = req.body.currency.toLowerCase();
+      }
+      if (req.body.regions !== undefined) {
+        updateFields.regions = req.body.regions.map((region) => region.toUpperCase());
+      }
+
+      const updated = await plansCollection.findOneAndUpdate(
+        { _id: plan._id },
+        { $set: { ...updateFields, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+
+      await recordAudit(req, {
+        action: "plan.updated",
+        targetType: "plan",
+        targetId: plan._id,
+        before: pickFields(plan, Object.keys(updateFields)),
+        after: updateFields,
+      });
+
+      res.json(updated);
+    } catch (error) {
+      console.error("Error updating plan:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: promotion codes (redeemedSessions and reservations omitted)
+app.get("/api/admin/promo-codes", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const promoCodes = await getPromoCodesCollection()
+      .find({}, { projection: { redeemedSessions: 0, reservations: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json(promoCodes);
+  } catch (error) {
+    console.error("Error fetching promo codes:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Admin: create a promotion code (percentOff or amountOff + currency)
+app.post(
+  "/api/admin/promo-codes",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.createPromoCode),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const { code, description, percentOff, amountOff, currency, planIds, expiresAt, maxRedemptions, isActive } =
+        req.body;
+      const promoCode = {
+        code: code.toUpperCase(),
+        description: description || "",
+        percentOff: percentOff ?? null,
+        amountOff: amountOff ?? null,
+        currency: currency ? currency.toLowerCase() : null,
+        planIds: (planIds || []).map((id) => new ObjectId(id)),
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        maxRedemptions: maxRedemptions ?? null,
+        redemptions: 0,
+        redeemedSessions: [],
+        reservations: [],
+        isActive: isActive ?? true,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      const result = await getPromoCodesCollection().insertOne(promoCode);
+
+      const { redeemedSessions, reservations, ...created } = promoCode;
+      await recordAudit(req, {
+        action: "promo_code.created",
+        targetType: "promo_code",
+        targetId: result.insertedId,
+        after: created,
+      });
+
+      res.status(201).json({ ...created, _id: result.insertedId });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: "This promotion code already exists" });
+      }
+      console.error("Error creating promo code:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: update a promotion code (the code and discount are fixed once created)
+app.patch(
+  "/api/admin/promo-codes/:id",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.updatePromoCode),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const promoCodesCollection = getPromoCodesCollection();
+      const promoCode = await promoCodesCollection.findOne(
+        { _id: new ObjectId(req.params.id) },
+        { projection: { redeemedSessions: 0, reservations: 0 } }
+      );
+
+      if (!promoCode) {
+        return res.status(404).json({ error: "Promotion code not found" });
+      }
+
+      const { description, planIds, expiresAt, maxRedemptions, isActive } = req.body;
+      const updateFields = {};
+      if (description !== undefined) updateFields.description = description;
+      if (planIds !== undefined) updateFields.planIds = planIds.map((id) => new ObjectId(id));
+      if (expiresAt !== undefined) updateFields.expiresAt = expiresAt ? new Date(expiresAt) : null;
+      if (maxRedemptions !== undefined) updateFields.maxRedemptions = maxRedemptions;
+      if (isActive !== undefined) updateFields.isActive = isActive;
+
+      const updated = await promoCodesCollection.findOneAndUpdate(
+        { _id: promoCode._id },
+        { $set: { ...updateFields, updatedAt: new Date() } },
+        { returnDocument: "after", projection: { redeemedSessions: 0, reservations: 0 } }
+      );
+
+      await recordAudit(req, {
+        action: "promo_code.updated",
+        targetType: "promo_code",
+        targetId: promoCode._id,
+        before: pickFields(promoCode, Object.keys(updateFields)),
+        after: updateFields,
+      });
+
+      res.json(updated);
+    } catch (error) {
+      console.error("Error updating promo code:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: payments with revenue totals per currency
+// (?status=, ?type=, ?plan=, ?userEmail=, ?currency=, ?from=&to=)
+app.get(
+  "/api/admin/payments",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.listPayments),
+  async (req, res) => {
+    try {
+      const paymentsCollection = getPaymentsCollection();
+      const { status, type, plan, userEmail, currency, from, to } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (type) filter.type = type;
+      if (plan) filter.plan = plan;
+      if (userEmail) filter.userEmail = userEmail;
+      if (currency) filter.currency = currency.toLowerCase();
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const sortKey = req.query.sort === "oldest" ? "oldest" : "newest";
+      const { field, direction } = LESSON_SORTS[sortKey];
+      const result = await paginateAggregate(
+        paymentsCollection,
+        [{ $match: filter }],
+        {
+          params: getPaginationParams(req.query, { defaultLimit: 20 }),
+          sortKey,
+          field,
+          direction,
+        }
+      );
+
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      // Amounts in minor units, like the payment records
+      const totals = await paymentsCollection
+        .aggregate([
+          { $match: filter },
+          {
+            $group: {
+              _id: "$currency",
+              count: { $sum: 1 },
+              gross: { $sum: "$amount" },
+              refunded: { $sum: { $ifNull: ["$amountRefunded", 0] } },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              currency: "$_id",
+              count: 1,
+              gross: 1,
+              refunded: 1,
+              net: { $subtract: ["$gross", "$refunded"] },
+            },
+          },
+        ])
+        .toArray();
+
+      res.json({
+        payments: result.items,
+        pagination: result.pagination,
+        totals,
+      });
+    } catch (error) {
+      console.error("Error fetching payments:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: recompute lesson recommendations now
+app.post(
+  "/api/admin/recommendations/refresh",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    try {
+      const result = await refreshRecommendations();
+      if (result.skipped) {
+        return res.status(409).json({ error: result.reason });
+      }
+      res.json({ message: "Recommendations refreshed", ...result });
+    } catch (error) {
+      console.error("Error refreshing recommendations:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: delete unreferenced uploads now (?dryRun=true only counts them)
+app.post(
+  "/api/admin/assets/gc",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.collectAssets),
+  async (req, res) => {
+    try {
+      if (req.query.dryRun === "true") {
+        return res.json(await collectUnusedAssets({ dryRun: true }));
+      }
+
+      const result = await runAssetGarbageCollection();
+      if (result.skipped) {
+        return res.status(409).json({ error: result.reason });
+      }
+
+      await recordAudit(req, {
+        action: "assets.collected",
+        targetType: "asset",
+        metadata: { removed: result.removed, bytes: result.bytes },
+      });
+
+      res.json({ message: "Unused assets removed", ...result });
+    } catch (error) {
+      console.error("Error collecting assets:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: active rate limit counters (throttled identities by default, ?all=true for every counter)
+app.get(
+  "/api/admin/rate-limits",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.listRateLimits),
+  async (req, res) => {
+    try {
+      const { identity, group } = req.query;
+      const filter = { expiresAt: { $gt: new Date() } };
+      if (identity) filter.identity = identity;
+      if (group) filter.group = group;
+      if (req.query.all !== "true") {
+        filter.$expr = { $gt: ["$count", "$limit"] };
+      }
+
+      const counters = await getRateLimitsCollection()
+        .find(filter)
+        .sort({ count: -1 })
+        .limit(200)
+        .toArray();
+
+      res.json(
+        counters.map((counter) => ({
+          ...counter,
+          throttled: counter.count > counter.limit,
+        }))
+      );
+    } catch (error) {
+      console.error("Error fetching rate limits:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: clear counters for an identity ("user:<email>" or "ip:<address>"), optionally one ?group=
+app.delete(
+  "/api/admin/rate-limits/:identity",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.clearRateLimit),
+  async (req, res) => {
+    try {
+      const filter = { identity: req.params.identity };
+      if (req.query.group) filter.group = req.query.group;
+
+      const result = await getRateLimitsCollection().deleteMany(filter);
+
+      await recordAudit(req, {
+        action: "rate_limit.cleared",
+        targetType: "rate_limit",
+        targetId: req.params.identity,
+        metadata: { group: req.query.group || null, cleared: result.deletedCount },
+      });
+
+      res.json({
+        message: "Rate limits cleared",
+        cleared: result.deletedCount,
+      });
+    } catch (error) {
+      console.error("Error clearing rate limits:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: audit trail of admin mutations (filterable, paginated)
+app.get(
+  "/api/admin/audit-log",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.listAuditLog),
+  async (req, res) => {
+    try {
+      const { actorEmail, action, targetType, targetId, from, to } = req.query;
+      const filter = {};
+      if (actorEmail) filter.actorEmail = actorEmail;
+      if (action) filter.action = action;
+      if (targetType) filter.targetType = targetType;
+      if (targetId) filter.targetId = targetId;
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const sortKey = req.query.sort === "oldest" ? "oldest" : "newest";
+      const { field, direction } = LESSON_SORTS[sortKey];
+      const result = await paginateAggregate(
+        getAuditLogCollection(),
+        [{ $match: filter }],
+        {
+          params: getPaginationParams(req.query, { defaultLimit: 50 }),
+          sortKey,
+          field,
+          direction,
+        }
+      );
+
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({ entries: result.items, pagination: result.pagination });
+    } catch (error) {
+      console.error("Error fetching audit log:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin Dashboard Stats
+app.get("/api/admin/stats", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const usersCollection = getUsersCollection();
+    const lessonsCollection = getLessonsCollection();
+
+    const totalUsers = await usersCollection.countDocuments();
+    const totalLessons = await lessonsCollection.countDocuments();
+    const publicLessons = await lessonsCollection.countDocuments({
+      visibility: "public",
+    });
+    const privateLessons = await lessonsCollection.countDocuments({
+      visibility: "private",
+    });
+
+    // Total unique reported lessons
+    const reportsCollection = getReportsCollection();
+    const distinctReported = await reportsCollection.distinct("lessonId", {
+      targetType: { $ne: "comment" },
+    });
+    const totalReportedLessons = distinctReported.length;
+
+    res.json({
+      totalUsers,
+      totalLessons,
+      publicLessons,
+      privateLessons,
+      totalReportedLessons,
+    });
+  } catch (error) {
+    console.error("Error fetching admin stats:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Lessons and likes in a range grouped by a lesson field (category / emotionalTone)
+async function metricsBreakdown(field, { from, to }) {
+  const inRange = { createdAt: { $gte: from, $lt: to } };
+  const [lessonGroups, likeGroups] = await Promise.all([
+    getLessonsCollection()
+      .aggregate([
+        { $match: inRange },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      ])
+      .toArray(),
+    getLessonLikesCollection()
+      .aggregate([
+        { $match: inRange },
+        {
+          $lookup: {
+            from: "lessons",
+            localField: "lessonId",
+            foreignField: "_id",
+            as: "lesson",
+          },
+        },
+        { $unwind: "$lesson" },
+        { $group: { _id: `$lesson.${field}`, count: { $sum: 1 } } },
+      ])
+      .toArray(),
+  ]);
+
+  const rows = new Map();
+  const row = (name) => {
+    if (!rows.has(name)) rows.set(name, { name, lessons: 0, likes: 0 });
+    return rows.get(name);
+  };
+  lessonGroups.forEach((group) => (row(group._id).lessons = group.count));
+  likeGroups.forEach((group) => (row(group._id).likes = group.count));
+
+  return [...rows.values()].sort(
+    (a, b) => b.lessons - a.lessons || b.likes - a.likes
+  );
+}
+
+// Admin: time-series metrics (?interval=day|week|month&from=&to=) with growth vs the previous period
+app.get(
+  "/api/admin/metrics",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.adminMetrics),
+  async (req, res) => {
+    try {
+      const range = parseMetricsRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+      const previousRange = { ...range.previous, interval: range.interval };
+      const sum = (series) => [...series.values()].reduce((a, b) => a + b, 0);
+      // Split series: { [splitValue]: total } over all buckets
+      const sumSplit = (series) => {
+        const totals = {};
+        for (const bucket of series.values()) {
+          for (const [key, value] of Object.entries(bucket)) {
+            totals[key] = (totals[key] || 0) + value;
+          }
+        }
+        return totals;
+      };
+      const round = (value) => Math.round(value * 100) / 100;
+      const totalsSummary = (total, previousTotal) => ({
+        total: round(total),
+        previous: round(previousTotal),
+        growth: growthPercent(round(total), round(previousTotal)),
+      });
+
+      const definitions = getMetricDefinitions();
+      const current = {};
+      const summary = {};
+      for (const [name, metric] of Object.entries(definitions)) {
+        const options = {
+          match: metric.match,
+          dateField: metric.dateField,
+          value: metric.value,
+          splitBy: metric.splitBy,
+        };
+        current[name] = await aggregateSeries(metric.collection(), options, range);
+        const previous = await aggregateSeries(
+          metric.collection(),
+          options,
+          previousRange
+        );
+
+        if (!metric.splitBy) {
+          summary[name] = totalsSummary(sum(current[name]), sum(previous));
+          continue;
+        }
+        // Per split value (e.g. revenue per currency)
+        const totals = sumSplit(current[name]);
+        const previousTotals = sumSplit(previous);
+        summary[name] = {};
+        for (const key of new Set([...Object.keys(totals), ...Object.keys(previousTotals)])) {
+          summary[name][key] = totalsSummary(totals[key] || 0, previousTotals[key] || 0);
+        }
+      }
+
+      // New lessons split by visibility and access level
+      const lessonsCollection = getLessonsCollection();
+      const byVisibility = await aggregateSeries(
+        lessonsCollection,
+        { dateField: "createdAt", splitBy: "visibility" },
+        range
+      );
+      const byAccessLevel = await aggregateSeries(
+        lessonsCollection,
+        { dateField: "createdAt", splitBy: "accessLevel" },
+        range
+      );
+
+      const series = range.buckets.map((bucket) => {
+        const key = bucket.toISOString();
+        const point = { period: key };
+        for (const name of Object.keys(current)) {
+          if (!definitions[name].splitBy) {
+            point[name] = round(current[name].get(key) || 0);
+            continue;
+          }
+          const bucket = current[name].get(key) || {};
+          point[name] = {};
+          for (const splitKey of Object.keys(summary[name])) {
+            point[name][splitKey] = round(bucket[splitKey] || 0);
+          }
+        }
+        point.lessonsByVisibility = {
+          public: 0,
+          private: 0,
+          draft: 0,
+          ...byVisibility.get(key),
+        };
+        point.lessonsByAccessLevel = {
+          free: 0,
+          premium: 0,
+          ...byAccessLevel.get(key),
+        };
+        return point;
+      });
+
+      const [categories, tones] = await Promise.all([
+        metricsBreakdown("category", range),
+        metricsBreakdown("emotionalTone", range),
+      ]);
+
+      res.json({
+        interval: range.interval,
+        from: range.from,
+        to: range.to,
+        previousPeriod: range.previous,
+        summary,
+        series,
+        breakdown: { categories, tones },
+      });
+    } catch (error) {
+      console.error("Error fetching admin metrics:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+app.get("/", (req, res) => {
+  res.send("Rewise server is running");
+});
+
+// Vercel cron: refresh recommendations (Vercel sends "Bearer <CRON_SECRET>")
+app.get("/api/cron/recommendations", async (req, res) => {
+  if (
+    !process.env.CRON_SECRET ||
+    req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`
+  ) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    res.json(await refreshRecommendations());
+  } catch (error) {
+    console.error("Error running recommendations cron:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Vercel cron: garbage-collect unreferenced uploads
+app.get("/api/cron/assets-gc", async (req, res) => {
+  if (
+    !process.env.CRON_SECRET ||
+    req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`
+  ) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    res.json(await runAssetGarbageCollection());
+  } catch (error) {
+    console.error("Error running assets cron:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Vercel cron: run queued background jobs and resume interrupted ones
+app.get("/api/cron/jobs", async (req, res) => {
+  if (
+    !process.env.CRON_SECRET ||
+    req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`
+  ) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    res.json(await runPendingJobs());
+  } catch (error) {
+    console.error("Error running jobs cron:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Health check route
+app.get("/health", (req, res) => {
+  res.json({
+    status: "OK",
+    message: "Rewise server is healthy",
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Test protected route
+app.get("/api/test-auth", verifyToken, (req, res) => {
+  res.json({
+    message: "Authentication successful",
+    user: req.user,
+  });
+});
+
+// Get current user profile
+app.get("/api/user/me", verifyToken, async (req, res) => {
+  try {
+    const usersCollection = getUsersCollection();
+    const user = await usersCollection.findOne({ email: req.user.email });
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update User Profile
+app.patch("/api/user/me", verifyToken, rateLimit("account"), validate(schemas.updateProfile), async (req, res) => {
+  try {
+    const usersCollection = getUsersCollection();
+    const { name, photo } = req.body;
+    const updateFields = {};
+
+    if (name) updateFields.name = name;
+    if (photo !== undefined) {
+      const upload = await resolveImageAsset(photo, {
+        field: "photo",
+        purpose: "profile",
+        ownerEmails: [req.user.email],
+      });
+      if (upload.error) {
+        return res
+          .status(422)
+          .json({ error: "Validation failed", errors: [upload.error] });
+      }
+      Object.assign(updateFields, imageAssetFields("photo", upload.asset));
+    }
+
+    await usersCollection.updateOne(
+      { email: req.user.email },
+      { $set: updateFields }
+    );
+
+    res.json({ message: "Profile updated successfully" });
+  } catch (error) {
+    console.error("Error updating profile:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Public Analytics (Top Contributors & Most Saved)
+app.get("/api/public/analytics", async (req, res) => {
+  try {
+    const usersCollection = getUsersCollection();
+    const lessonsCollection = getLessonsCollection();
+
+    const topContributors = await lessonsCollection
+      .aggregate([
+        { $match: publicLessonFilter() },
+        { $group: { _id: "$creatorEmail", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 5 },
+      ])
+      .toArray();
+
+    const contributorEmails = topContributors.map((c) => c._id);
+    const authors = await usersCollection
+      .find({ email: { $in: contributorEmails } })
+      .project({ password: 0 })
+      .toArray();
+
+    const contributorsWithDetails = topContributors.map((tc) => {
+      const author = authors.find((a) => a.email === tc._id);
+      return {
+        ...tc,
+        author: author
+          ? { ...author, followersCount: author.followersCount || 0 }
+          : { name: "Unknown", photo: "", followersCount: 0 },
+      };
+    });
+
+    const mostPopularLessons = await lessonsCollection
+      .find(publicLessonFilter())
+      .project(LESSON_BODY_FIELDS)
+      .sort({ likesCount: -1 })
+      .limit(6)
+      .toArray();
+
+    res.json({
+      topContributors: contributorsWithDetails,
+      mostPopularLessons: withListExcerpts(mostPopularLessons, await getOptionalViewer(req)),
+    });
+  } catch (error) {
+    console.error("Error fetching analytics:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/*
+ * FOLLOW ROUTES
+ * follows collection: { followerEmail, followeeEmail, createdAt }
+ * followersCount / followingCount are kept on user documents.
+ */
+
+// Toggle follow (follow/unfollow an author)
+app.post("/api/authors/:email/follow", verifyToken, rateLimit("reactions"), validate(schemas.authorParam), async (req, res) => {
+  try {
+    const usersCollection = getUsersCollection();
+    const followsCollection = getFollowsCollection();
+    const followeeEmail = req.params.email;
+    const followerEmail = req.user.email;
+
+    if (followeeEmail === followerEmail) {
+      return res.status(400).json({ error: "You cannot follow yourself" });
+    }
+
+    const author = await usersCollection.findOne(
+      { email: followeeEmail },
+      { projection: { _id: 1 } }
+    );
+    if (!author) {
+      return res.status(404).json({ error: "Author not found" });
+    }
+
+    const existingFollow = await followsCollection.findOne({
+      followerEmail,
+      followeeEmail,
+    });
+
+    if (existingFollow) {
+      // Only the request that actually removed the follow updates the counters
+      const { deletedCount } = await followsCollection.deleteOne({
+        _id: existingFollow._id,
+      });
+      if (deletedCount === 1) {
+        await usersCollection.updateOne(
+          { email: followeeEmail },
+          { $inc: { followersCount: -1 } }
+        );
+        await usersCollection.updateOne(
+          { email: followerEmail },
+          { $inc: { followingCount: -1 } }
+        );
+      }
+      return res.json({ message: "Unfollowed author", following: false });
+    }
+
+    try {
+      await followsCollection.insertOne({
+        followerEmail,
+        followeeEmail,
+        createdAt: new Date(),
+      });
+    } catch (error) {
+      // 11000 = duplicate key: a concurrent request already followed
+      if (error.code === 11000) {
+        return res.json({ message: "Following author", following: true });
+      }
+      throw error;
+    }
+
+    await usersCollection.updateOne(
+      { email: followeeEmail },
+      { $inc: { followersCount: 1 } }
+    );
+    await usersCollection.updateOne(
+      { email: followerEmail },
+      { $inc: { followingCount: 1 } }
+    );
+
+    res.json({ message: "Following author", following: true });
+  } catch (error) {
+    console.error("Error toggling follow:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List an author's followers / the authors a user follows
+const listFollows = (direction) => async (req, res) => {
+  try {
+    const email = req.params.email;
+    // followers: match followee, return follower profiles (and vice versa)
+    const matchField = direction === "followers" ? "followeeEmail" : "followerEmail";
+    const otherField = direction === "followers" ? "followerEmail" : "followeeEmail";
+
+    const sortKey = req.query.sort === "oldest" ? "oldest" : "newest";
+    const { field, direction: sortDirection } = LESSON_SORTS[sortKey];
+    const result = await paginateAggregate(
+      getFollowsCollection(),
+      [{ $match: { [matchField]: email } }],
+      {
+        params: getPaginationParams(req.query, { defaultLimit: 20 }),
+        sortKey,
+        field,
+        direction: sortDirection,
+        postPipeline: [
+          {
+            $lookup: {
+              from: "users",
+              localField: otherField,
+              foreignField: "email",
+              as: "user",
+            },
+          },
+          { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              createdAt: 1,
+              email: `$${otherField}`,
+              name: "$user.name",
+              photo: "$user.photo",
+              followersCount: { $ifNull: ["$user.followersCount", 0] },
+            },
+          },
+        ],
+      }
+    );
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ [direction]: result.items, pagination: result.pagination });
+  } catch (error) {
+    console.error(`Error fetching ${direction}:`, error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+app.get("/api/authors/:email/followers", validate(schemas.listFollows), listFollows("followers"));
+app.get("/api/authors/:email/following", validate(schemas.listFollows), listFollows("following"));
+
+// Personalized feed: followed authors + categories the user liked or favorited
+app.get("/api/feed", verifyToken, validate(schemas.paginated), async (req, res) => {
+  try {
+    const lessonsCollection = getLessonsCollection();
+    const email = req.user.email;
+    const params = getPaginationParams(req.query);
+
+    const followedEmails = await getFollowsCollection().distinct("followeeEmail", {
+      followerEmail: email,
+    });
 
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res
-        .status(401)
-        .json({ error: "Unauthorized - No token provided" });
+    // Categories from liked lessons and favorites
+    const likedCategories = await lessonsCollection.distinct("category", {
+      likes: email,
+    });
+    const favoriteLessonIds = await getFavoritesCollection().distinct("lessonId", {
+      userEmail: email,
+    });
+    const favoriteCategories = await lessonsCollection.distinct("category", {
+      _id: { $in: favoriteLessonIds },
+    });
+    const categories = [...new Set([...likedCategories, ...favoriteCategories])];
+
+    if (followedEmails.length === 0 && categories.length === 0) {
+      return res.json({
+        lessons: [],
+        pagination:
+          params.mode === "page"
+            ? { page: params.page, limit: params.limit, total: 0, totalPages: 0 }
+            : { limit: params.limit, nextCursor: null, prevCursor: null, hasMore: false },
+      });
     }
 
-    const token = authHeader.split(" ")[1];
-    const decodedToken = await admin.auth().verifyIdToken(token);
+    // One $or query, so a lesson matching both sources appears once
+    const sources = [];
+    if (followedEmails.length > 0) {
+      sources.push({ creatorEmail: { $in: followedEmails } });
+    }
+    if (categories.length > 0) {
+      sources.push({ category: { $in: categories } });
+    }
+    const filter = {
+      ...publicLessonFilter(),
+      creatorEmail: { $ne: email },
+      $or: sources,
+    };
 
-    // Sync user with database
-    const usersCollection = getUsersCollection();
-    const email = decodedToken.email;
+    const result = await paginateAggregate(
+      lessonsCollection,
+      [{ $match: filter }, { $project: LESSON_BODY_FIELDS }],
+      {
+        params,
+        sortKey: "newest",
+        ...LESSON_SORTS.newest,
+      }
+    );
 
-    let user = await usersCollection.findOne({ email });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
-    // Attach user info to request
-    req.user = {
-      email: email,
-      uid: decodedToken.uid,
-      role: user ? user.role : "user", // Default to user if not found
-      isPremium: user ? user.isPremium : false, // Default to false if not found
-    };
+    // Hydrate authors and explain why each lesson is in the feed
+    const authorEmails = [...new Set(result.items.map((l) => l.creatorEmail))];
+    const authors = await getUsersCollection()
+      .find({ email: { $in: authorEmails } })
+      .project({ name: 1, email: 1, photo: 1, followersCount: 1 })
+      .toArray();
 
-    next();
-  } catch (error) {
-    console.error("Token verification error:", error);
-    return res.status(401).json({ error: "Unauthorized - Invalid token" });
-  }
-}
+    const lessons = result.items.map((lesson) => {
+      const author = authors.find((a) => a.email === lesson.creatorEmail);
+      const reasons = [];
+      if (followedEmails.includes(lesson.creatorEmail)) reasons.push("following");
+      if (categories.includes(lesson.category)) reasons.push("category");
+      return {
+        ...lesson,
+        excerpt: lessonListExcerpt(lesson, req.user),
+        author: author
+          ? { ...author, followersCount: author.followersCount || 0 }
+          : { name: "Unknown", photo: "", followersCount: 0 },
+        feedReasons: reasons,
+      };
+    });
 
-// Admin Verification Middleware
-async function verifyAdmin(req, res, next) {
-  if (req.user && req.user.role === "admin") {
-    next();
-  } else {
-    res.status(403).json({ error: "FORBIDDEN ACCESS - Admin Only" });
+    res.json({ lessons, pagination: result.pagination });
+  } catch (error) {
+    console.error("Error fetching feed:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
-};
+});
 
 /*
- * REPORTING SYSTEM ROUTES
+ * NOTIFICATION ROUTES
  */
 
-// User reports a lesson
-app.post("/api/reports", verifyToken, async (req, res) => {
+// List notifications (?unread=true for unread only)
+app.get("/api/notifications", verifyToken, validate(schemas.listNotifications), async (req, res) => {
   try {
-    const { ObjectId } = require("mongodb");
-    const { lessonId, reason } = req.body;
-    const reportsCollection = getReportsCollection();
+    const filter = { recipientEmail: req.user.email };
+    if (req.query.unread === "true") {
+      filter.isRead = false;
+    }
 
-    if (!ObjectId.isValid(lessonId)) {
-      return res.status(400).json({ error: "Invalid lesson ID" });
+    const result = await paginateAggregate(
+      getNotificationsCollection(),
+      [{ $match: filter }],
+      {
+        params: getPaginationParams(req.query, { defaultLimit: 20 }),
+        sortKey: "newest",
+        ...LESSON_SORTS.newest,
+      }
+    );
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
 
-    const report = {
-      lessonId: new ObjectId(lessonId),
-      reason,
-      reporterEmail: req.user.email,
-      createdAt: new Date(),
-    };
+    res.json({ notifications: result.items, pagination: result.pagination });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Unread notification count (for the bell badge)
+app.get("/api/notifications/unread-count", verifyToken, async (req, res) => {
+  try {
+    const count = await getNotificationsCollection().countDocuments({
+      recipientEmail: req.user.email,
+      isRead: false,
+    });
+    res.json({ count });
+  } catch (error) {
+    console.error("Error counting notifications:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    await reportsCollection.insertOne(report);
-    res.status(201).json({ message: "Report submitted successfully" });
+// Mark all notifications as read
+app.patch("/api/notifications/read-all", verifyToken, async (req, res) => {
+  try {
+    const result = await getNotificationsCollection().updateMany(
+      { recipientEmail: req.user.email, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+    res.json({
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+    });
   } catch (error) {
-    console.error("Error reporting lesson:", error);
+    console.error("Error marking notifications read:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Admin: Get all reports (optionally filter by lessonId)
-app.get("/api/admin/reports", verifyToken, verifyAdmin, async (req, res) => {
+// Mark one notification as read
+app.patch("/api/notifications/:id/read", verifyToken, validate(schemas.notificationId), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
-    const reportsCollection = getReportsCollection();
-    const { lessonId } = req.query;
 
-    // Build Aggregation Pipeline
-    const pipeline = [];
-
-    // 1. Filter by specific lesson (optional)
-    if (lessonId) {
-      if (!ObjectId.isValid(lessonId)) {
-        return res.status(400).json({ error: "Invalid lesson ID" });
-      }
-      pipeline.push({ $match: { lessonId: new ObjectId(lessonId) } });
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid notification ID" });
     }
 
-    // 2. Lookup Lesson Details
-    pipeline.push({
-      $lookup: {
-        from: "lessons",
-        localField: "lessonId",
-        foreignField: "_id",
-        as: "lesson"
-      }
-    });
+    const result = await getNotificationsCollection().updateOne(
+      { _id: new ObjectId(req.params.id), recipientEmail: req.user.email },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
 
-    // 3. Unwind Lesson (keep report even if lesson deleted)
-    pipeline.push({
-      $unwind: {
-        path: "$lesson",
-        preserveNullAndEmptyArrays: true
-      }
-    });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
 
-    // 4. Sort by Newest Report
-    pipeline.push({ $sort: { createdAt: -1 } });
+    res.json({ message: "Notification marked as read" });
+  } catch (error) {
+    console.error("Error marking notification read:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    const reports = await reportsCollection.aggregate(pipeline).toArray();
-    res.json(reports);
+// Get per-type notification preferences (missing types default to enabled)
+app.get("/api/notifications/preferences", verifyToken, async (req, res) => {
+  try {
+    const user = await getUsersCollection().findOne(
+      { email: req.user.email },
+      { projection: { notificationPreferences: 1 } }
+    );
+    const saved = (user && user.notificationPreferences) || {};
+    const preferences = Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [type, saved[type] !== false])
+    );
+    res.json(preferences);
   } catch (error) {
-    console.error("Error fetching reports:", error);
+    console.error("Error fetching notification preferences:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Admin: Resolve/Delete report
-app.delete(
-  "/api/admin/reports/:id",
-  verifyToken,
-  verifyAdmin,
-  async (req, res) => {
-    try {
-      const { ObjectId } = require("mongodb");
-      const reportsCollection = getReportsCollection();
+// Update notification preferences ({ lesson_liked: false, ... })
+app.patch("/api/notifications/preferences", verifyToken, validate(schemas.updateNotificationPreferences), async (req, res) => {
+  try {
+    const updateFields = {};
 
-      if (!ObjectId.isValid(req.params.id)) {
-        return res.status(400).json({ error: "Invalid report ID" });
+    for (const [type, enabled] of Object.entries(req.body || {})) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return res
+          .status(400)
+          .json({ error: `Unknown notification type: ${type}` });
       }
-
-      const result = await reportsCollection.deleteOne({
-        _id: new ObjectId(req.params.id),
-      });
-
-      if (result.deletedCount === 0) {
-        return res.status(404).json({ error: "Report not found" });
+      if (typeof enabled !== "boolean") {
+        return res
+          .status(400)
+          .json({ error: `Preference for ${type} must be true or false` });
       }
-
-      res.json({ message: "Report deleted/resolved" });
-    } catch (error) {
-      console.error("Error deleting report:", error);
-      res.status(500).json({ error: "Internal server error" });
+      updateFields[`notificationPreferences.${type}`] = enabled;
     }
-  }
-);
-
-// Admin: Get aggregated reported lessons
-app.get(
-  "/api/admin/reported-lessons",
-  verifyToken,
-  verifyAdmin,
-  async (req, res) => {
-    try {
-      const reportsCollection = getReportsCollection();
-      const reportedLessons = await reportsCollection
-        .aggregate([
-          { $group: { _id: "$lessonId", reportCount: { $sum: 1 } } },
-          {
-            $lookup: {
-              from: "lessons",
-              localField: "_id",
-              foreignField: "_id",
-              as: "lessonDetails",
-            },
-          },
-          { $unwind: "$lessonDetails" },
-          {
-            $project: {
-              _id: "$lessonDetails._id",
-              title: "$lessonDetails.title",
-              creatorEmail: "$lessonDetails.creatorEmail",
-              reportCount: 1,
-            },
-          },
-        ])
-        .toArray();
 
-      res.json(reportedLessons);
-    } catch (error) {
-      console.error("Error fetching reported lessons:", error);
-      res.status(500).json({ error: "Internal server error" });
+    if (Object.keys(updateFields).length > 0) {
+      await getUsersCollection().updateOne(
+        { email: req.user.email },
+        { $set: updateFields }
+      );
     }
-  }
-);
 
-/*
- * users collection schema
- * {
- *   _id: ObjectId,
- *   name: String,
- *   email: String,
- *   photo: String,
- *   role: 'user' | 'admin',
- *   isPremium: Boolean,
- *   favorites: [String], // Array of Lesson IDs
- *   createdAt: Date
- * }
- *
- * lessons collection schema
- * {
- *   _id: ObjectId,
- *   title: String,
- *   description: String,
- *   category: String,
- *   emotionalTone: String,
- *   image: String,
- *   visibility: 'public' | 'private',
- *   accessLevel: 'free' | 'premium',
- *   creatorEmail: String,
- *   likesCount: Number,
- *   likes: [String], // Array of User Emails
- *   createdAt: Date
- * }
- */
+    res.json({ message: "Notification preferences updated" });
+  } catch (error) {
+    console.error("Error updating notification preferences:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
 /*
- * ADMIN ROUTES
- * Middleware Chain: verifyToken -> verifyAdmin
+ * TAXONOMY ROUTES
+ * taxonomy collection: { kind: "category" | "tone", slug, name, description, icon,
+ *   sortOrder, isActive, createdAt, updatedAt }
+ * Lessons store the entry's display name in category / emotionalTone.
  */
 
-// Sync/Create User (Call this after Firebase Login)
-app.post("/api/users/:email", verifyToken, async (req, res) => {
-  try {
-    const usersCollection = getUsersCollection();
-    const { email } = req.params;
-    const { name, photo, uid } = req.body;
-
-    if (email !== req.user.email) {
-      return res.status(403).json({ error: "Forbidden access" });
-    }
-
-    // Check if user exists
-    const existingUser = await usersCollection.findOne({ email });
-
-    if (existingUser) {
-      return res.json({ message: "User already exists", user: existingUser });
-    }
-
-    // Create new user
-    const newUser = {
-      name: name || "Anonymous",
-      email: email,
-      photo: photo || "",
-      photo: photo || "",
-      uid: uid || "", // Optional: store firebase UID
-      role: "user",
-      favorites: [],
-      isPremium: false,
-      createdAt: new Date(),
-    };
+// Lesson counts per taxonomy name for a kind, e.g. { "Career": 12 }
+async function countLessonsByTaxonomy(kind, match = {}) {
+  const field = TAXONOMY_FIELDS[kind];
+  const groups = await getLessonsCollection()
+    .aggregate([
+      { $match: match },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    ])
+    .toArray();
+  return new Map(groups.map((group) => [group._id, group.count]));
+}
 
-    const result = await usersCollection.insertOne(newUser);
-    newUser._id = result.insertedId;
+// List entries of each kind with lesson counts
+async function listTaxonomy({ includeInactive, lessonMatch }) {
+  const filter = includeInactive ? {} : { isActive: true };
+  const entries = await getTaxonomyCollection()
+    .find(filter)
+    .sort({ kind: 1, sortOrder: 1, name: 1 })
+    .toArray();
+
+  const result = {};
+  for (const kind of Object.keys(TAXONOMY_FIELDS)) {
+    const counts = await countLessonsByTaxonomy(kind, lessonMatch);
+    result[kind] = entries
+      .filter((entry) => entry.kind === kind)
+      .map((entry) => ({ ...entry, lessonCount: counts.get(entry.name) || 0 }));
+  }
+  return { categories: result.category, tones: result.tone };
+}
 
-    res.status(201).json({ message: "User created", user: newUser });
+// Public: active categories and tones with live public lesson counts
+app.get("/api/taxonomy", async (req, res) => {
+  try {
+    res.json(
+      await listTaxonomy({ includeInactive: false, lessonMatch: publicLessonFilter() })
+    );
   } catch (error) {
-    console.error("Error creating user:", error);
+    console.error("Error fetching taxonomy:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all users (Admin)
-app.get("/api/admin/users", verifyToken, verifyAdmin, async (req, res) => {
+// Admin: all entries (including inactive) with counts across every lesson
+app.get("/api/admin/taxonomy", verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const usersCollection = getUsersCollection();
-    const users = await usersCollection.find().toArray();
-    res.json(users);
+    res.json(await listTaxonomy({ includeInactive: true, lessonMatch: {} }));
   } catch (error) {
-    console.error("Error fetching users:", error);
+    console.error("Error fetching admin taxonomy:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Update user role (Make Admin)
+// Admin: create a taxonomy entry
+app.post(
+  "/api/admin/taxonomy",
+  verifyToken,
+  verifyAdmin,
+  validate(schemas.createTaxonomyEntry),
+  async (req, res) => {
+    try {
+      const { kind, name, description, icon, sortOrder, isActive } = req.body;
+      const slug = slugify(req.body.slug || name);
+      if (!slug) {
+        return res.status(400).json({ error: "Name must contain letters or digits" });
+      }
+
+      const entry = {
+        kind,
+        slug,
+        name: name.trim(),
+        description: description || "",
+        icon: icon || "",
+        sortOrder: sortOrder ?? 0,
+        isActive: isActive ?? true,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      const result = await getTaxonomyCollection().insertOne(entry);
+
+      await recordAudit(req, {
+        action: "taxonomy.created",
+        targetType: "taxonomy",
+        targetId: result.insertedId,
+        after: entry,
+      });
+
+      res.status(201).json({ ...entry, _id: result.insertedId });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .json({ error: "An entry with this slug or name already exists" });
+      }
+      console.error("Error creating taxonomy entry:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Admin: update a taxonomy entry; renaming rewrites every lesson using the old name
 app.patch(
-  "/api/admin/users/:id/role",
+  "/api/admin/taxonomy/:id",
   verifyToken,
   verifyAdmin,
+  validate(schemas.updateTaxonomyEntry),
   async (req, res) => {
     try {
       const { ObjectId } = require("mongodb");
-      const usersCollection = getUsersCollection();
+      const taxonomyCollection = getTaxonomyCollection();
+      const entry = await taxonomyCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
 
-      if (!ObjectId.isValid(req.params.id)) {
-        return res.status(400).json({ error: "Invalid user ID" });
+      if (!entry) {
+        return res.status(404).json({ error: "Taxonomy entry not found" });
       }
 
-      const userId = new ObjectId(req.params.id);
-      const { role } = req.body;
-
-      if (role !== "admin" && role !== "user") {
-        return res.status(400).json({ error: "Invalid role" });
+      const { name, slug, description, icon, sortOrder, isActive } = req.body;
+      const updateFields = { updatedAt: new Date() };
+      if (name !== undefined) updateFields.name = name.trim();
+      if (slug !== undefined) {
+        updateFields.slug = slugify(slug);
+        if (!updateFields.slug) {
+          return res.status(400).json({ error: "Slug must contain letters or digits" });
+        }
       }
-
-      const result = await usersCollection.updateOne(
-        { _id: userId },
-        { $set: { role: role } }
+      if (description !== undefined) updateFields.description = description;
+      if (icon !== undefined) updateFields.icon = icon;
+      if (sortOrder !== undefined) updateFields.sortOrder = sortOrder;
+      if (isActive !== undefined) updateFields.isActive = isActive;
+
+      const updated = await taxonomyCollection.findOneAndUpdate(
+        { _id: entry._id },
+        { $set: updateFields },
+        { returnDocument: "after" }
       );
 
-      if (result.matchedCount === 0) {
-        return res.status(404).json({ error: "User not found" });
+      let lessonsUpdated = 0;
+      if (updateFields.name && updateFields.name !== entry.name) {
+        const field = TAXONOMY_FIELDS[entry.kind];
+        const result = await getLessonsCollection().updateMany(
+          { [field]: entry.name },
+          { $set: { [field]: updateFields.name } }
+        );
+        lessonsUpdated = result.modifiedCount;
       }
 
-      res.json({ message: `User role updated to ${role}` });
+      const { updatedAt, ...changed } = updateFields;
+      await recordAudit(req, {
+        action: "taxonomy.updated",
+        targetType: "taxonomy",
+        targetId: entry._id,
+        before: pickFields(entry, Object.keys(changed)),
+        after: changed,
+        metadata: { lessonsUpdated },
+      });
+
+      res.json({ entry: updated, lessonsUpdated });
     } catch (error) {
-      console.error("Error updating user role:", error);
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .json({ error: "An entry with this slug or name already exists" });
+      }
+      console.error("Error updating taxonomy entry:", error);
       res.status(500).json({ error: "Internal server error" });
     }
   }
 );
 
-// Delete User (Admin)
-app.delete(
-  "/api/admin/users/:id",
+// Admin: merge an entry into another of the same kind, moving its lessons
+app.post(
+  "/api/admin/taxonomy/:id/merge",
   verifyToken,
   verifyAdmin,
+  validate(schemas.mergeTaxonomyEntry),
   async (req, res) => {
     try {
       const { ObjectId } = require("mongodb");
-      const usersCollection = getUsersCollection();
+      const taxonomyCollection = getTaxonomyCollection();
 
-      if (!ObjectId.isValid(req.params.id)) {
-        return res.status(400).json({ error: "Invalid user ID" });
+      if (req.params.id === req.body.targetId) {
+        return res.status(400).json({ error: "Cannot merge an entry into itself" });
       }
 
-      const userId = new ObjectId(req.params.id);
-      const result = await usersCollection.deleteOne({ _id: userId });
+      const [source, target] = await Promise.all([
+        taxonomyCollection.findOne({ _id: new ObjectId(req.params.id) }),
+        taxonomyCollection.findOne({ _id: new ObjectId(req.body.targetId) }),
+      ]);
 
-      if (result.deletedCount === 0) {
-        return res.status(404).json({ error: "User not found" });
+      if (!source || !target) {
+        return res.status(404).json({ error: "Taxonomy entry not found" });
       }
+      if (source.kind !== target.kind) {
+        return res
+          .status(400)
+          .json({ error: "Entries must be of the same kind to merge" });
+      }
+
+      const field = TAXONOMY_FIELDS[source.kind];
+      const result = await getLessonsCollection().updateMany(
+        { [field]: source.name },
+        { $set: { [field]: target.name } }
+      );
+      await taxonomyCollection.deleteOne({ _id: source._id });
+
+      await recordAudit(req, {
+        action: "taxonomy.merged",
+        targetType: "taxonomy",
+        targetId: source._id,
+        before: source,
+        after: { mergedInto: String(target._id), name: target.name },
+        metadata: { lessonsUpdated: result.modifiedCount },
+      });
 
-      res.json({ message: "User deleted successfully" });
+      res.json({
+        message: `Merged "${source.name}" into "${target.name}"`,
+        target,
+        lessonsUpdated: result.modifiedCount,
+      });
     } catch (error) {
-      console.error("Error deleting user:", error);
+      console.error("Error merging taxonomy entries:", error);
       res.status(500).json({ error: "Internal server error" });
     }
   }
 );
 
-// Get all lessons (Admin) with filtering
-app.get("/api/admin/lessons", verifyToken, verifyAdmin, async (req, res) => {
-  try {
-    const lessonsCollection = getLessonsCollection();
-    const { category, visibility, flagged } = req.query;
-    let filter = {};
-
-    // Apply category filter
-    if (category) {
-      filter.category = category;
-    }
-
-    // Apply visibility filter
-    if (visibility) {
-      filter.visibility = visibility;
-    }
-
-    // Apply flagged filter (lessons that have reports)
-    if (flagged === 'true') {
-      const reportsCollection = getReportsCollection();
-      const reportedLessonIds = await reportsCollection.distinct('lessonId');
-      filter._id = { $in: reportedLessonIds };
-    }
-
-    const lessons = await lessonsCollection.find(filter).toArray();
-    res.json(lessons);
-  } catch (error) {
-    console.error("Error fetching admin lessons:", error);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
-
-// Delete Lesson (Admin)
+// Admin: delete an unused taxonomy entry (merge or deactivate entries still in use)
 app.delete(
-  "/api/admin/lessons/:id",
+  "/api/admin/taxonomy/:id",
   verifyToken,
   verifyAdmin,
+  validate(schemas.taxonomyEntryId),
   async (req, res) => {
     try {
       const { ObjectId } = require("mongodb");
-      const lessonsCollection = getLessonsCollection();
+      const taxonomyCollection = getTaxonomyCollection();
+      const entry = await taxonomyCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
 
-      if (!ObjectId.isValid(req.params.id)) {
-        return res.status(400).json({ error: "Invalid lesson ID" });
+      if (!entry) {
+        return res.status(404).json({ error: "Taxonomy entry not found" });
       }
 
-      const lessonId = new ObjectId(req.params.id);
-      const result = await lessonsCollection.deleteOne({ _id: lessonId });
-
-      if (result.deletedCount === 0) {
-        return res.status(404).json({ error: "Lesson not found" });
+      const inUse = await getLessonsCollection().countDocuments({
+        [TAXONOMY_FIELDS[entry.kind]]: entry.name,
+      });
+      if (inUse > 0) {
+        return res.status(409).json({
+          error: `${inUse} lesson(s) still use this entry; merge or deactivate it instead`,
+        });
       }
 
-      res.json({ message: "Lesson deleted successfully by admin" });
+      await taxonomyCollection.deleteOne({ _id: entry._id });
+
+      await recordAudit(req, {
+        action: "taxonomy.deleted",
+        targetType: "taxonomy",
+        targetId: entry._id,
+        before: entry,
+      });
+
+      res.json({ message: "Taxonomy entry deleted" });
     } catch (error) {
-      console.error("Error deleting lesson (admin):", error);
+      console.error("Error deleting taxonomy entry:", error);
       res.status(500).json({ error: "Internal server error" });
     }
   }
 );
 
-// Admin Dashboard Stats
-app.get("/api/admin/stats", verifyToken, verifyAdmin, async (req, res) => {
-  try {
-    const usersCollection = getUsersCollection();
-    const lessonsCollection = getLessonsCollection();
+/*
+ * TAG ROUTES
+ * Usage counts only include public lessons so private tags never leak.
+ */
 
-    const totalUsers = await usersCollection.countDocuments();
-    const totalLessons = await lessonsCollection.countDocuments();
-    const publicLessons = await lessonsCollection.countDocuments({
-      visibility: "public",
-    });
-    const privateLessons = await lessonsCollection.countDocuments({
-      visibility: "private",
-    });
+// Public: tag autocomplete by prefix, most used first (?q=self&limit=10)
+app.get("/api/tags/suggest", validate(schemas.suggestTags), async (req, res) => {
+  try {
+    const prefix = normalizeTag(req.query.q);
+    if (!prefix) {
+      return res.json([]);
+    }
 
-    // Total unique reported lessons
-    const reportsCollection = getReportsCollection();
-    const distinctReported = await reportsCollection.distinct("lessonId");
-    const totalReportedLessons = distinctReported.length;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 20);
+    const startsWith = new RegExp(`^${escapeRegex(prefix)}`);
+    const suggestions = await getLessonsCollection()
+      .aggregate([
+        { $match: { ...publicLessonFilter(), tags: startsWith } },
+        { $unwind: "$tags" },
+        { $match: { tags: startsWith } },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, tag: "$_id", count: 1 } },
+      ])
+      .toArray();
 
-    res.json({
-      totalUsers,
-      totalLessons,
-      publicLessons,
-      privateLessons,
-      totalReportedLessons,
-    });
+    res.json(suggestions);
   } catch (error) {
-    console.error("Error fetching admin stats:", error);
+    console.error("Error suggesting tags:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.get("/", (req, res) => {
-  res.send("Rewise server is running");
-});
-
-// Health check route
-app.get("/health", (req, res) => {
-  res.json({
-    status: "OK",
-    message: "Rewise server is healthy",
-    timestamp: new Date().toISOString(),
-  });
-});
-
-// Test protected route
-app.get("/api/test-auth", verifyToken, (req, res) => {
-  res.json({
-    message: "Authentication successful",
-    user: req.user,
-  });
-});
-
-// Get current user profile
-app.get("/api/user/me", verifyToken, async (req, res) => {
+// Tag counts for a pipeline whose documents have a `lesson` field
+const countTagsOfLessons = (collection, since, extraStages = []) =>
+  collection
+    .aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      ...extraStages,
+      {
+        $match: Object.fromEntries(
+          Object.entries(publicLessonFilter()).map(([key, value]) => [`lesson.${key}`, value])
+        ),
+      },
+      { $unwind: "$lesson.tags" },
+      { $group: { _id: "$lesson.tags", count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+// Public: trending tags over the last ?days= (default 7), weighting new
+// lessons x3, favorites x2 and likes x1
+app.get("/api/tags/trending", validate(schemas.trendingTags), async (req, res) => {
   try {
-    const usersCollection = getUsersCollection();
-    const user = await usersCollection.findOne({ email: req.user.email });
-
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
+    const days = parseInt(req.query.days) || 7;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const lookupLesson = [
+      {
+        $lookup: {
+          from: "lessons",
+          localField: "lessonId",
+          foreignField: "_id",
+          as: "lesson",
+        },
+      },
+      { $unwind: "$lesson" },
+    ];
 
-    res.json(user);
+    const [lessonCounts, likeCounts, favoriteCounts] = await Promise.all([
+      countTagsOfLessons(getLessonsCollection(), since, [{ $project: { lesson: "$$ROOT" } }]),
+      countTagsOfLessons(getLessonLikesCollection(), since, lookupLesson),
+      countTagsOfLessons(getFavoritesCollection(), since, lookupLesson),
+    ]);
+
+    const tags = new Map();
+    const add = (groups, field) => {
+      for (const group of groups) {
+        if (!tags.has(group._id)) {
+          tags.set(group._id, { tag: group._id, lessons: 0, likes: 0, favorites: 0 });
+        }
+        tags.get(group._id)[field] = group.count;
+      }
+    };
+    add(lessonCounts, "lessons");
+    add(likeCounts, "likes");
+    add(favoriteCounts, "favorites");
+
+    const trending = [...tags.values()]
+      .map((entry) => ({
+        ...entry,
+        score: entry.lessons * 3 + entry.favorites * 2 + entry.likes,
+      }))
+      .sort((a, b) => b.score - a.score || a.tag.localeCompare(b.tag))
+      .slice(0, limit);
+
+    res.json({ days, since, tags: trending });
   } catch (error) {
-    console.error("Error fetching user:", error);
+    console.error("Error fetching trending tags:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Update User Profile
-app.patch("/api/user/me", verifyToken, async (req, res) => {
-  try {
-    const usersCollection = getUsersCollection();
-    const { name, photo } = req.body;
-    const updateFields = {};
+/*
+ * UPLOAD ROUTES
+ */
 
-    if (name) updateFields.name = name;
-    if (photo) updateFields.photo = photo;
+// Single multipart file held in memory until it has been sniffed and re-encoded
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1, fields: 5 },
+});
 
-    await usersCollection.updateOne(
-      { email: req.user.email },
-      { $set: updateFields }
-    );
+// Parse the "file" field, answering multer's limit errors with 413/400
+const parseImageUpload = (req, res, next) =>
+  imageUpload.single("file")(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          error: `Image must be at most ${Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024))} MB`,
+        });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  });
 
-    res.json({ message: "Profile updated successfully" });
-  } catch (error) {
-    console.error("Error updating profile:", error);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
+// Upload a lesson cover or profile photo (multipart field "file")
+app.post(
+  "/api/uploads/:purpose",
+  verifyToken,
+  rateLimit("uploads"),
+  validate(schemas.uploadImage),
+  parseImageUpload,
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const { purpose } = req.params;
 
-// Public Analytics (Top Contributors & Most Saved)
-app.get("/api/public/analytics", async (req, res) => {
-  try {
-    const usersCollection = getUsersCollection();
-    const lessonsCollection = getLessonsCollection();
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ error: 'Missing image (multipart field "file")' });
+      }
 
-    const topContributors = await lessonsCollection
-      .aggregate([
-        { $group: { _id: "$creatorEmail", count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 5 },
-      ])
-      .toArray();
+      const originalType = sniffImageType(req.file.buffer);
+      if (!originalType) {
+        return res.status(415).json({
+          error: "Unsupported image type. Upload a JPEG, PNG, WebP or GIF image.",
+        });
+      }
 
-    const contributorEmails = topContributors.map((c) => c._id);
-    const authors = await usersCollection
-      .find({ email: { $in: contributorEmails } })
-      .project({ password: 0 })
-      .toArray();
+      let variants;
+      try {
+        variants = await processImage(req.file.buffer, purpose);
+      } catch (error) {
+        return res.status(422).json({ error: "Image could not be processed" });
+      }
 
-    const contributorsWithDetails = topContributors.map((tc) => {
-      const author = authors.find((a) => a.email === tc._id);
-      return {
-        ...tc,
-        author: author || { name: "Unknown", photo: "" },
+      const assetId = new ObjectId();
+      const asset = {
+        _id: assetId,
+        ownerEmail: req.user.email,
+        purpose,
+        originalType,
+        originalBytes: req.file.size,
+        storage: storage.driver,
+        variants: await storeImageVariants(assetId, purpose, variants),
+        createdAt: new Date(),
       };
-    });
-
-    const mostPopularLessons = await lessonsCollection
-      .find({ visibility: "public" })
-      .sort({ likesCount: -1 })
-      .limit(6)
-      .toArray();
+      await getAssetsCollection().insertOne(asset);
 
-    res.json({
-      topContributors: contributorsWithDetails,
-      mostPopularLessons,
-    });
-  } catch (error) {
-    console.error("Error fetching analytics:", error);
-    res.status(500).json({ error: "Internal server error" });
+      res.status(201).json({ message: "Image uploaded", asset: formatAsset(asset) });
+    } catch (error) {
+      console.error("Error uploading image:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
 // Get lessons created by logged-in user
-app.get("/api/my-lessons", verifyToken, async (req, res) => {
+app.get("/api/my-lessons", verifyToken, validate(schemas.myLessons), async (req, res) => {
   try {
     const lessonsCollection = getLessonsCollection();
 
     const myLessons = await lessonsCollection
       .find({ creatorEmail: req.user.email })
+      .project(LESSON_BODY_FIELDS)
       .sort({ createdAt: -1 })
       .toArray();
 
+    // Attach publication status and a countdown for scheduled lessons
+    const now = new Date();
+    let lessonsWithStatus = myLessons.map((lesson) => {
+      const status = getLessonStatus(lesson, now);
+      return {
+        ...lesson,
+        status,
+        publishInSeconds:
+          status === "scheduled"
+            ? Math.ceil((new Date(lesson.publishAt) - now) / 1000)
+            : null,
+      };
+    });
+
+    // Optional ?status=draft|private|scheduled|published
+    if (req.query.status) {
+      lessonsWithStatus = lessonsWithStatus.filter(
+        (lesson) => lesson.status === req.query.status
+      );
+    }
+
     res.json({
-      lessons: myLessons,
-      total: myLessons.length,
+      lessons: lessonsWithStatus,
+      total: lessonsWithStatus.length,
     });
   } catch (error) {
     console.error("Error fetching user lessons:", error);
@@ -732,7 +7197,7 @@ app.get("/api/my-lessons", verifyToken, async (req, res) => {
 });
 
 // Create a new lesson
-app.post("/api/lessons", verifyToken, async (req, res) => {
+app.post("/api/lessons", verifyToken, rateLimit("lessons"), validate(schemas.createLesson), async (req, res) => {
   try {
     const {
       title,
@@ -749,6 +7214,36 @@ app.post("/api/lessons", verifyToken, async (req, res) => {
       return res.status(400).json({ error: "Missing required fields" });
     }
 
+    // Category and tone must be active taxonomy entries (stored by display name)
+    const taxonomy = await resolveLessonTaxonomy(req.body);
+    if (taxonomy.errors.length > 0) {
+      return res
+        .status(422)
+        .json({ error: "Validation failed", errors: taxonomy.errors });
+    }
+
+    if (visibility && !LESSON_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: "Invalid visibility" });
+    }
+
+    // Cover image must be an asset the author uploaded
+    const cover = await resolveImageAsset(image ?? "", {
+      field: "image",
+      purpose: "lesson",
+      ownerEmails: [req.user.email],
+    });
+    if (cover.error) {
+      return res
+        .status(422)
+        .json({ error: "Validation failed", errors: [cover.error] });
+    }
+
+    // Optional scheduled release date
+    const publishAt = parsePublishAt(req.body.publishAt);
+    if (publishAt && publishAt.error) {
+      return res.status(400).json({ error: publishAt.error });
+    }
+
     // Check if user can create premium lessons
     if (accessLevel === "premium" && !req.user.isPremium) {
       return res
@@ -760,22 +7255,39 @@ app.post("/api/lessons", verifyToken, async (req, res) => {
     const newLesson = {
       title,
       description,
-      category,
-      emotionalTone,
-      image: image || "",
+      ...renderLessonBody(description),
+      category: taxonomy.fields.category,
+      emotionalTone: taxonomy.fields.emotionalTone,
+      ...imageAssetFields("image", cover.asset),
       visibility: visibility || "public",
       accessLevel: accessLevel || "free",
+      publishAt: publishAt || null,
+      tags: normalizeTags(req.body.tags),
       creatorEmail: req.user.email,
       likesCount: 0,
       likes: [],
       isFeatured: false,
       isReviewed: false,
+      revision: 0,
       createdAt: new Date(),
     };
 
     const lessonsCollection = getLessonsCollection();
     const result = await lessonsCollection.insertOne(newLesson);
 
+    // Revision 0 holds the original content
+    await getLessonRevisionsCollection().insertOne({
+      lessonId: result.insertedId,
+      revision: 0,
+      source: "create",
+      editorEmail: req.user.email,
+      editorRole: "creator",
+      changedFields: [],
+      previous: {},
+      snapshot: pickFields(newLesson, LESSON_VERSIONED_FIELDS),
+      createdAt: newLesson.createdAt,
+    });
+
     res.status(201).json({
       message: "Lesson created successfully",
       lessonId: result.insertedId,
@@ -787,29 +7299,39 @@ app.post("/api/lessons", verifyToken, async (req, res) => {
 });
 
 // Get all public lessons with pagination and filters
-app.get("/api/lessons", async (req, res) => {
+app.get("/api/lessons", validate(schemas.listLessons), async (req, res) => {
   try {
     const lessonsCollection = getLessonsCollection();
 
-    // Pagination
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    // Pagination (cursor mode or legacy page mode)
+    const params = getPaginationParams(req.query);
 
-    // Build filter query
-    const filter = { visibility: "public" };
+    // Build filter query (auto-hidden and scheduled lessons stay out)
+    const filter = publicLessonFilter();
 
     if (req.query.category) {
-      filter.category = req.query.category;
+      filter.category = await taxonomyFilterValue("category", req.query.category);
     }
 
     if (req.query.emotionalTone) {
-      filter.emotionalTone = req.query.emotionalTone;
+      filter.emotionalTone = await taxonomyFilterValue(
+        "tone",
+        req.query.emotionalTone
+      );
+    }
+
+    // Tags (?tags=a,b with ?tagMatch=any (default) or all)
+    const tagFilter = buildTagFilter(req.query.tags, req.query.tagMatch);
+    if (tagFilter) {
+      Object.assign(filter, tagFilter);
     }
 
-    // Search by title (regex)
-    if (req.query.search) {
-      filter.title = { $regex: req.query.search, $options: "i" };
+    // Full-text search (title, description, category, emotional tone)
+    // Supports stemming, "exact phrases" and -excluded words
+    const search =
+      typeof req.query.search === "string" ? req.query.search.trim() : "";
+    if (search) {
+      filter.$text = { $search: search };
     }
 
     // Filter by Featured
@@ -822,32 +7344,41 @@ app.get("/api/lessons", async (req, res) => {
       filter.creatorEmail = req.query.creatorEmail;
     }
 
-    // Sorting
-    const sort = {};
-    if (req.query.sort === "newest") {
-      sort.createdAt = -1;
-    } else if (req.query.sort === "oldest") {
-      sort.createdAt = 1;
-    } else if (req.query.sort === "popular") {
-      sort.likesCount = -1;
-    } else {
-      sort.createdAt = -1; // Default: newest first
+    // Sorting (default: newest first; relevance requires a search term)
+    let sortKey = LESSON_SORTS[req.query.sort] ? req.query.sort : "newest";
+    if (sortKey === "relevance" && !search) {
+      sortKey = "newest";
     }
+    const { field, direction } = LESSON_SORTS[sortKey];
 
-    // Get lessons
-    const lessons = await lessonsCollection
-      .find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .toArray();
+    // Get lessons (include relevance score when searching). Search results
+    // keep the Markdown body until snippets are built from it.
+    const pipeline = [{ $match: filter }];
+    if (search) {
+      pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+    }
+    pipeline.push({ $project: search ? { descriptionHtml: 0 } : LESSON_BODY_FIELDS });
+
+    const result = await paginateAggregate(lessonsCollection, pipeline, {
+      params,
+      sortKey,
+      field,
+      direction,
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const lessons = result.items;
+    const viewer = await getOptionalViewer(req);
 
     // Hydrate authors (Join with users collection)
     const usersCollection = getUsersCollection();
     const userEmails = [...new Set(lessons.map((l) => l.creatorEmail))];
     const authors = await usersCollection
       .find({ email: { $in: userEmails } })
-      .project({ name: 1, email: 1, photo: 1 })
+      .project({ name: 1, email: 1, photo: 1, followersCount: 1 })
       .toArray();
 
     // Get lesson counts for these authors
@@ -856,28 +7387,41 @@ app.get("/api/lessons", async (req, res) => {
       authorCounts[email] = await lessonsCollection.countDocuments({ creatorEmail: email });
     }
 
-    const lessonsWithAuthors = lessons.map((lesson) => {
+    // Highlight matched terms for search results
+    const highlightRegex = search
+      ? buildHighlightRegex(parseSearchTerms(search))
+      : null;
+
+    const lessonsWithAuthors = lessons.map(({ description, ...lesson }) => {
       const author = authors.find((a) => a.email === lesson.creatorEmail);
       const stats = authorCounts[lesson.creatorEmail] || 0;
-      return {
+      const result = {
         ...lesson,
+        excerpt: lessonListExcerpt(lesson, viewer),
         author: author
-          ? { ...author, lessonsCreated: stats }
-          : { name: "Unknown", photo: "", lessonsCreated: 0 },
+          ? {
+              ...author,
+              lessonsCreated: stats,
+              followersCount: author.followersCount || 0,
+            }
+          : { name: "Unknown", photo: "", lessonsCreated: 0, followersCount: 0 },
       };
+      if (highlightRegex) {
+        // Locked premium lessons only match within their preview text
+        const snippetSource = canViewLesson(lesson, viewer)
+          ? markdownToText(description)
+          : result.excerpt;
+        result.highlights = {
+          title: highlightText(lesson.title, highlightRegex),
+          description: buildSnippet(snippetSource, highlightRegex),
+        };
+      }
+      return result;
     });
 
-    // Get total count for pagination
-    const total = await lessonsCollection.countDocuments(filter);
-
     res.json({
       lessons: lessonsWithAuthors,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit),
-      },
+      pagination: result.pagination,
     });
   } catch (error) {
     console.error("Error fetching lessons:", error);
@@ -886,7 +7430,7 @@ app.get("/api/lessons", async (req, res) => {
 });
 
 // Get single lesson by ID
-app.get("/api/lessons/:id", async (req, res) => {
+app.get("/api/lessons/:id", validate(schemas.lessonId), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
     const lessonsCollection = getLessonsCollection();
@@ -904,11 +7448,17 @@ app.get("/api/lessons/:id", async (req, res) => {
       return res.status(404).json({ error: "Lesson not found" });
     }
 
-    // Check visibility
-    if (lesson.visibility === "private") {
+    // Check visibility (private, draft and scheduled lessons: creator/admin only)
+    const lessonStatus = getLessonStatus(lesson);
+    if (lessonStatus !== "published") {
+      const label = {
+        private: "Private lesson",
+        draft: "Draft lesson",
+        scheduled: "Scheduled lesson",
+      }[lessonStatus];
       const authHeader = req.headers.authorization;
       if (!authHeader || !authHeader.startsWith("Bearer ")) {
-        return res.status(403).json({ error: "Private lesson - Authentication required" });
+        return res.status(403).json({ error: `${label} - Authentication required` });
       }
 
       try {
@@ -921,44 +7471,38 @@ app.get("/api/lessons/:id", async (req, res) => {
         const isAdmin = user && user.role === "admin";
 
         if (!isCreator && !isAdmin) {
-          return res.status(403).json({ error: "Private lesson - Restricted access" });
+          return res.status(403).json({ error: `${label} - Restricted access` });
         }
       } catch (error) {
-        return res.status(403).json({ error: "Private lesson - Invalid token" });
+        return res.status(403).json({ error: `${label} - Invalid token` });
       }
     }
 
-    // Check premium access
+    // Check premium access (premium users, the creator and admins see the full body)
+    let premiumLockReason = null;
     if (lesson.accessLevel === "premium") {
-      // Check if user is authenticated and premium
       const authHeader = req.headers.authorization;
 
       if (!authHeader || !authHeader.startsWith("Bearer ")) {
-        return res.status(403).json({
-          error: "Premium lesson - Authentication required",
-          isPremiumContent: true,
-        });
-      }
+        premiumLockReason = "Premium lesson - Authentication required";
+      } else {
+        try {
+          const token = authHeader.split(" ")[1];
+          const decodedToken = await admin.auth().verifyIdToken(token);
+          const usersCollection = getUsersCollection();
+          const user = await usersCollection.findOne({
+            email: decodedToken.email,
+          });
 
-      try {
-        const token = authHeader.split(" ")[1];
-        const decodedToken = await admin.auth().verifyIdToken(token);
-        const usersCollection = getUsersCollection();
-        const user = await usersCollection.findOne({
-          email: decodedToken.email,
-        });
+          const isCreator = lesson.creatorEmail === decodedToken.email;
+          const isAdmin = user && user.role === "admin";
 
-        if (!user || !user.isPremium) {
-          return res.status(403).json({
-            error: "Premium lesson - Premium subscription required",
-            isPremiumContent: true,
-          });
+          if (!hasActivePremium(user) && !isCreator && !isAdmin) {
+            premiumLockReason = "Premium lesson - Premium subscription required";
+          }
+        } catch (error) {
+          premiumLockReason = "Premium lesson - Invalid authentication";
         }
-      } catch (error) {
-        return res.status(403).json({
-          error: "Premium lesson - Invalid authentication",
-          isPremiumContent: true,
-        });
       }
     }
 
@@ -966,17 +7510,55 @@ app.get("/api/lessons/:id", async (req, res) => {
     const usersCollection = getUsersCollection();
     const author = await usersCollection.findOne(
       { email: lesson.creatorEmail },
-      { projection: { name: 1, email: 1, photo: 1 } }
+      { projection: { name: 1, email: 1, photo: 1, followersCount: 1 } }
     );
 
     // Get author statistics
     const lessonsCount = await lessonsCollection.countDocuments({ creatorEmail: lesson.creatorEmail });
+    const lessonAuthor = author
+      ? {
+          ...author,
+          lessonsCreated: lessonsCount,
+          followersCount: author.followersCount || 0,
+        }
+      : { name: "Unknown", photo: "", lessonsCreated: 0, followersCount: 0 };
+
+    // Locked premium lesson: return a preview for the upsell page
+    if (premiumLockReason) {
+      const [commentsCount, favoritesCount] = await Promise.all([
+        getCommentsCollection().countDocuments({ lessonId: lesson._id }),
+        getFavoritesCollection().countDocuments({ lessonId: lesson._id }),
+      ]);
+
+      return res.json({
+        _id: lesson._id,
+        title: lesson.title,
+        category: lesson.category,
+        emotionalTone: lesson.emotionalTone,
+        image: lesson.image,
+        imageThumbnail: lesson.imageThumbnail,
+        accessLevel: lesson.accessLevel,
+        createdAt: lesson.createdAt,
+        excerpt:
+          PREMIUM_PREVIEW_LENGTH > 0
+            ? truncateText(markdownToText(lesson.description), PREMIUM_PREVIEW_LENGTH)
+            : "",
+        wordCount: lesson.wordCount,
+        readingTimeMinutes: lesson.readingTimeMinutes,
+        likesCount: lesson.likesCount || 0,
+        commentsCount,
+        favoritesCount,
+        author: lessonAuthor,
+        locked: true,
+        isPremiumContent: true,
+        lockReason: premiumLockReason,
+      });
+    }
 
     res.json({
       ...lesson,
-      author: author
-        ? { ...author, lessonsCreated: lessonsCount }
-        : { name: "Unknown", photo: "", lessonsCreated: 0 }
+      author: lessonAuthor,
+      locked: false,
     });
   } catch (error) {
     console.error("Error fetching lesson:", error);
@@ -984,8 +7566,9 @@ app.get("/api/lessons/:id", async (req, res) => {
   }
 });
 
-// Get related/similar lessons
-app.get("/api/lessons/related/:id", async (req, res) => {
+// Get related/similar lessons from precomputed recommendations (?limit=, max 20).
+// Logged-in callers don't see lessons they created or already liked.
+app.get("/api/lessons/related/:id", validate(schemas.relatedLessons), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
     const lessonsCollection = getLessonsCollection();
@@ -1001,62 +7584,222 @@ app.get("/api/lessons/related/:id", async (req, res) => {
       return res.status(404).json({ error: "Lesson not found" });
     }
 
-    // Find related lessons (same category OR same tone, exclude current)
-    const relatedLessons = await lessonsCollection
-      .find({
-        _id: { $ne: lessonId },
-        visibility: "public",
-        $or: [
-          { category: currentLesson.category },
-          { emotionalTone: currentLesson.emotionalTone },
-        ],
-      })
-      .limit(6)
-      .toArray();
+    // Optional auth: an invalid token just means anonymous recommendations
+    const viewer = await getOptionalViewer(req);
+
+    const limit = Math.min(parseInt(req.query.limit) || 6, 20);
+    const baseFilter = { ...publicLessonFilter(), _id: { $ne: lessonId } };
+    if (viewer) {
+      baseFilter.creatorEmail = { $ne: viewer.email };
+      baseFilter.likes = { $ne: viewer.email };
+    }
+
+    const related = [];
+    const recommendations = await getRecommendationsCollection().findOne({
+      _id: lessonId,
+    });
+
+    if (recommendations) {
+      const ids = recommendations.items.map((item) => item.lessonId);
+      const lessons = await lessonsCollection
+        .find({ ...baseFilter, _id: { $in: ids, $ne: lessonId } })
+        .project(LESSON_BODY_FIELDS)
+        .toArray();
+      const byId = new Map(lessons.map((lesson) => [lesson._id.toString(), lesson]));
+
+      for (const item of recommendations.items) {
+        const lesson = byId.get(item.lessonId.toString());
+        if (!lesson) continue;
+        related.push({
+          ...lesson,
+          excerpt: lessonListExcerpt(lesson, viewer),
+          recommendation: { score: item.score, reasons: item.reasons },
+        });
+        if (related.length === limit) break;
+      }
+    }
+
+    // Not computed yet (new lesson, first deploy) or too few left after
+    // filtering: top up with the most liked lessons sharing category or tone
+    if (related.length < limit) {
+      const seen = [lessonId, ...related.map((lesson) => lesson._id)];
+      const fallback = await lessonsCollection
+        .find({
+          ...baseFilter,
+          _id: { $nin: seen },
+          $or: [
+            { category: currentLesson.category },
+            { emotionalTone: currentLesson.emotionalTone },
+          ],
+        })
+        .project(LESSON_BODY_FIELDS)
+        .sort({ likesCount: -1, createdAt: -1 })
+        .limit(limit - related.length)
+        .toArray();
+
+      for (const lesson of fallback) {
+        const reasons = [];
+        if (lesson.category === currentLesson.category) reasons.push("same_category");
+        if (lesson.emotionalTone === currentLesson.emotionalTone) reasons.push("same_tone");
+        related.push({
+          ...lesson,
+          excerpt: lessonListExcerpt(lesson, viewer),
+          recommendation: { score: null, reasons },
+        });
+      }
+    }
 
-    res.json(relatedLessons);
+    res.json(related);
   } catch (error) {
     console.error("Error fetching related lessons:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Public: active price plans for the caller's region (?region= when not detected)
+app.get("/api/plans", validate(schemas.listPlans), async (req, res) => {
+  try {
+    const region = resolveRegion(req);
+    const plans = await getPlansCollection()
+      .find({ isActive: true })
+      .sort({ sortOrder: 1, amount: 1 })
+      .toArray();
+
+    res.json(
+      plans
+        .filter((plan) => isPlanAvailableIn(plan, region))
+        .map((plan) => ({
+          _id: plan._id,
+          key: plan.key,
+          name: plan.name,
+          description: plan.description,
+          amount: plan.amount,
+          currency: plan.currency,
+          interval: plan.interval,
+          type: plan.interval ? "subscription" : "one_time",
+        }))
+    );
+  } catch (error) {
+    console.error("Error fetching plans:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Create Stripe checkout session for premium upgrade
-app.post("/api/create-checkout-session", verifyToken, async (req, res) => {
+app.post("/api/create-checkout-session", verifyToken, rateLimit("checkout"), validate(schemas.checkout), async (req, res) => {
   try {
     // Check if user is already premium
     if (req.user.isPremium) {
       return res.status(400).json({ error: "You are already a premium user" });
     }
 
-    // Create Stripe checkout session
-    const session = await stripe.checkout.sessions.create({
+    // Older clients send a plan key (or nothing, meaning lifetime)
+    const plan = await findCheckoutPlan(req.body);
+    if (!plan) {
+      return res.status(400).json({ error: "Invalid plan" });
+    }
+    if (!isPlanAvailableIn(plan, resolveRegion(req))) {
+      return res
+        .status(400)
+        .json({ error: "This plan is not available in your region" });
+    }
+
+    // The price always comes from the catalog; the client only names a code
+    let promo = null;
+    let discount = 0;
+    if (req.body.promoCode) {
+      const result = await applyPromoCode(req.body.promoCode, plan);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      ({ promo, discount } = result);
+    }
+
+    // Reuse (or create) the Stripe customer so the billing portal works later
+    const customerId = await getOrCreateStripeCustomer(req.user.email);
+    const isSubscription = !!plan.interval;
+
+    // One-time plans are charged the discounted amount directly; subscriptions
+    // keep the full recurring price with a one-off coupon on the first period
+    const priceData = {
+      currency: plan.currency,
+      product_data: {
+        name: plan.name,
+        description: plan.description || undefined,
+      },
+      unit_amount: isSubscription ? plan.amount : plan.amount - discount,
+    };
+    if (isSubscription) {
+      priceData.recurring = { interval: plan.interval };
+    }
+
+    const metadata = {
+      userEmail: req.user.email,
+      plan: plan.key,
+      planId: plan._id.toString(),
+    };
+    if (promo) {
+      metadata.promoCodeId = promo._id.toString();
+      metadata.promoCode = promo.code;
+      metadata.discount = String(discount);
+    }
+
+    const sessionParams = {
       payment_method_types: ["card"],
-      line_items: [
-        {
-          price_data: {
-            currency: "bdt",
-            product_data: {
-              name: "Rewise Premium Subscription",
-              description: "One-time payment for lifetime premium access",
-            },
-            unit_amount: 150000, // ৳1500 in paisa (1500 * 100)
-          },
-          quantity: 1,
-        },
-      ],
-      mode: "payment",
+      line_items: [{ price_data: priceData, quantity: 1 }],
+      mode: isSubscription ? "subscription" : "payment",
+      customer: customerId,
       success_url: `${process.env.CLIENT_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.CLIENT_URL}/payment/cancel`,
       client_reference_id: req.user.email,
-      metadata: {
-        userEmail: req.user.email,
-      },
-    });
+      expires_at: Math.floor((Date.now() + CHECKOUT_SESSION_TTL_MS) / 1000),
+      metadata,
+    };
+
+    if (isSubscription) {
+      // Copy metadata onto the subscription so lifecycle events can find the user
+      sessionParams.subscription_data = {
+        metadata: { userEmail: req.user.email, plan: plan.key },
+      };
+      if (discount > 0) {
+        const coupon = await getPromoCoupon(promo, discount, plan.currency);
+        sessionParams.discounts = [{ coupon: coupon.id }];
+      }
+    }
+
+    // Hold one use of a limited code until the session completes or expires
+    if (promo) {
+      const { ObjectId } = require("mongodb");
+      metadata.promoReservationId = new ObjectId().toString();
+      if (!(await reservePromoRedemption(promo, metadata.promoReservationId))) {
+        return res
+          .status(400)
+          .json({ error: "Promotion code has reached its usage limit" });
+      }
+    }
+
+    // Create Stripe checkout session
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create(sessionParams);
+    } catch (error) {
+      if (promo) {
+        await releasePromoReservation(metadata.promoCodeId, metadata.promoReservationId);
+      }
+      throw error;
+    }
 
     res.json({
       sessionId: session.id,
       url: session.url,
+      price: {
+        plan: plan.key,
+        currency: plan.currency,
+        amount: plan.amount,
+        discount,
+        total: plan.amount - discount,
+        promoCode: promo ? promo.code : null,
+      },
     });
   } catch (error) {
     console.error("Error creating checkout session:", error);
@@ -1064,8 +7807,60 @@ app.post("/api/create-checkout-session", verifyToken, async (req, res) => {
   }
 });
 
+// Create Stripe billing portal session (manage/cancel subscription)
+app.post("/api/billing-portal", verifyToken, rateLimit("checkout"), async (req, res) => {
+  try {
+    const usersCollection = getUsersCollection();
+    const user = await usersCollection.findOne({ email: req.user.email });
+
+    if (!user || !user.stripeCustomerId) {
+      return res.status(400).json({ error: "No billing account found" });
+    }
+
+    const portalSession = await stripe.billingPortal.sessions.create({
+      customer: user.stripeCustomerId,
+      return_url: `${process.env.CLIENT_URL}/dashboard/profile`,
+    });
+
+    res.json({ url: portalSession.url });
+  } catch (error) {
+    console.error("Error creating billing portal session:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Current user's payments and receipts (newest first, paginated)
+app.get("/api/payments/history", verifyToken, validate(schemas.paymentHistory), async (req, res) => {
+  try {
+    const sortKey = req.query.sort === "oldest" ? "oldest" : "newest";
+    const { field, direction } = LESSON_SORTS[sortKey];
+    const result = await paginateAggregate(
+      getPaymentsCollection(),
+      [
+        { $match: { userEmail: req.user.email } },
+        { $project: { stripeCustomerId: 0 } },
+      ],
+      {
+        params: getPaginationParams(req.query, { defaultLimit: 20 }),
+        sortKey,
+        field,
+        direction,
+      }
+    );
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ payments: result.items, pagination: result.pagination });
+  } catch (error) {
+    console.error("Error fetching payment history:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Like/Unlike a lesson
-app.post("/api/lessons/:id/like", verifyToken, async (req, res) => {
+app.post("/api/lessons/:id/like", verifyToken, rateLimit("reactions"), validate(schemas.lessonId), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
     const lessonsCollection = getLessonsCollection();
@@ -1090,23 +7885,47 @@ app.post("/api/lessons/:id/like", verifyToken, async (req, res) => {
 
     if (hasLiked) {
       // Unlike: Remove user from likes array
-      await lessonsCollection.updateOne(
+      const updated = await lessonsCollection.findOneAndUpdate(
         { _id: lessonId },
         {
           $pull: { likes: userEmail },
           $inc: { likesCount: -1 },
-        }
+        },
+        { returnDocument: "after", projection: { likesCount: 1 } }
       );
+      await getLessonLikesCollection().deleteOne({ lessonId, userEmail });
+      await publishLiveEvent(`lesson:${lessonId}`, "likes", {
+        lessonId,
+        likesCount: updated ? updated.likesCount : 0,
+      });
       res.json({ message: "Lesson unliked", liked: false });
     } else {
       // Like: Add user to likes array
-      await lessonsCollection.updateOne(
+      const updated = await lessonsCollection.findOneAndUpdate(
         { _id: lessonId },
         {
           $addToSet: { likes: userEmail },
           $inc: { likesCount: 1 },
-        }
+        },
+        { returnDocument: "after", projection: { likesCount: 1 } }
       );
+      await getLessonLikesCollection().updateOne(
+        { lessonId, userEmail },
+        { $setOnInsert: { lessonId, userEmail, createdAt: new Date() } },
+        { upsert: true }
+      );
+      await publishLiveEvent(`lesson:${lessonId}`, "likes", {
+        lessonId,
+        likesCount: updated ? updated.likesCount : 0,
+      });
+      await notify({
+        recipientEmail: lesson.creatorEmail,
+        actorEmail: userEmail,
+        type: "lesson_liked",
+        lessonId,
+        data: { lessonTitle: lesson.title },
+      });
+
       res.json({ message: "Lesson liked", liked: true });
     }
   } catch (error) {
@@ -1116,7 +7935,7 @@ app.post("/api/lessons/:id/like", verifyToken, async (req, res) => {
 });
 
 // Update a lesson (creator only)
-app.patch("/api/lessons/:id", verifyToken, async (req, res) => {
+app.patch("/api/lessons/:id", verifyToken, rateLimit("lessons"), validate(schemas.updateLesson), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
     const lessonsCollection = getLessonsCollection();
@@ -1159,40 +7978,296 @@ app.patch("/api/lessons/:id", verifyToken, async (req, res) => {
 
     if (title) updateFields.title = title;
     if (description) updateFields.description = description;
-    if (category) updateFields.category = category;
-    if (emotionalTone) updateFields.emotionalTone = emotionalTone;
-    if (image !== undefined) updateFields.image = image;
+    if (category || emotionalTone) {
+      const taxonomy = await resolveLessonTaxonomy(req.body);
+      if (taxonomy.errors.length > 0) {
+        return res
+          .status(422)
+          .json({ error: "Validation failed", errors: taxonomy.errors });
+      }
+      Object.assign(updateFields, taxonomy.fields);
+    }
+    if (image !== undefined) {
+      // The creator's uploads, or the editing admin's own
+      const cover = await resolveImageAsset(image, {
+        field: "image",
+        purpose: "lesson",
+        ownerEmails: [lesson.creatorEmail, req.user.email],
+      });
+      if (cover.error) {
+        return res
+          .status(422)
+          .json({ error: "Validation failed", errors: [cover.error] });
+      }
+      Object.assign(updateFields, imageAssetFields("image", cover.asset));
+    }
+    if (req.body.tags !== undefined) updateFields.tags = normalizeTags(req.body.tags);
     if (visibility) updateFields.visibility = visibility;
     if (accessLevel) updateFields.accessLevel = accessLevel;
 
-    // Admin only moderation flags
-    if (isAdmin) {
-      if (req.body.isFeatured !== undefined) updateFields.isFeatured = req.body.isFeatured;
-      if (req.body.isReviewed !== undefined) updateFields.isReviewed = req.body.isReviewed;
-    }
+    if (visibility && !LESSON_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: "Invalid visibility" });
+    }
+
+    // Scheduled release date (null clears the schedule)
+    const publishAt = parsePublishAt(req.body.publishAt);
+    if (publishAt && publishAt.error) {
+      return res.status(400).json({ error: publishAt.error });
+    }
+    if (publishAt !== undefined) updateFields.publishAt = publishAt;
+
+    // Admin only moderation flags
+    if (isAdmin) {
+      if (req.body.isFeatured !== undefined) updateFields.isFeatured = req.body.isFeatured;
+      if (req.body.isReviewed !== undefined) updateFields.isReviewed = req.body.isReviewed;
+      if (req.body.isHidden !== undefined) {
+        updateFields.isHidden = req.body.isHidden;
+        updateFields.hiddenReason = req.body.isHidden ? "admin" : null;
+        updateFields.hiddenAt = req.body.isHidden ? new Date() : null;
+      }
+    }
+
+    // Check premium access for accessLevel
+    if (accessLevel === "premium" && !req.user.isPremium) {
+      return res
+        .status(403)
+        .json({ error: "Only premium users can create premium lessons" });
+    }
+
+    // Update the lesson and record a revision
+    const { revision } = await updateLessonWithRevision(
+      lesson,
+      updateFields,
+      req.user
+    );
+
+    // Push moderation/publication changes to viewers of the lesson
+    if (revision) {
+      await publishLessonRevision(lesson, updateFields, revision);
+    }
+
+    await auditLessonRevision(req, lesson, revision, "lesson.updated");
+
+    if (updateFields.isFeatured === true && !lesson.isFeatured) {
+      await notify({
+        recipientEmail: lesson.creatorEmail,
+        actorEmail: req.user.email,
+        type: "lesson_featured",
+        lessonId,
+        data: { lessonTitle: updateFields.title || lesson.title },
+      });
+    }
+
+    res.json({
+      message: "Lesson updated successfully",
+      revision: revision ? revision.revision : lesson.revision ?? null,
+    });
+  } catch (error) {
+    console.error("Error updating lesson:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get revision history of a lesson (creator or admin)
+app.get("/api/lessons/:id/revisions", verifyToken, validate(schemas.listRevisions), async (req, res) => {
+  try {
+    const { ObjectId } = require("mongodb");
+    const lessonsCollection = getLessonsCollection();
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid lesson ID" });
+    }
+
+    const lessonId = new ObjectId(req.params.id);
+    const lesson = await lessonsCollection.findOne({ _id: lessonId });
+
+    if (!lesson) {
+      return res.status(404).json({ error: "Lesson not found" });
+    }
+
+    const isCreator = lesson.creatorEmail === req.user.email;
+    const isAdmin = req.user.role === "admin";
+
+    if (!isCreator && !isAdmin) {
+      return res
+        .status(403)
+        .json({ error: "You can only view history of your own lessons" });
+    }
+
+    // Newest revision first; snapshots are only returned by the diff endpoint
+    const result = await paginateAggregate(
+      getLessonRevisionsCollection(),
+      [{ $match: { lessonId: lessonId } }],
+      {
+        params: getPaginationParams(req.query, { defaultLimit: 20 }),
+        sortKey: "revision",
+        field: "revision",
+        direction: -1,
+        postPipeline: [{ $project: { snapshot: 0 } }],
+      }
+    );
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      revisions: result.items,
+      currentRevision: lesson.revision ?? null,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Error fetching lesson revisions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Diff two revisions of a lesson (?from=&to=, `to` defaults to the current revision)
+app.get("/api/lessons/:id/revisions/diff", verifyToken, validate(schemas.diffRevisions), async (req, res) => {
+  try {
+    const { ObjectId } = require("mongodb");
+    const lessonsCollection = getLessonsCollection();
+    const revisionsCollection = getLessonRevisionsCollection();
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid lesson ID" });
+    }
+
+    const lessonId = new ObjectId(req.params.id);
+    const lesson = await lessonsCollection.findOne({ _id: lessonId });
+
+    if (!lesson) {
+      return res.status(404).json({ error: "Lesson not found" });
+    }
+
+    const isCreator = lesson.creatorEmail === req.user.email;
+    const isAdmin = req.user.role === "admin";
+
+    if (!isCreator && !isAdmin) {
+      return res
+        .status(403)
+        .json({ error: "You can only view history of your own lessons" });
+    }
+
+    const from = parseInt(req.query.from);
+    const to =
+      req.query.to !== undefined ? parseInt(req.query.to) : lesson.revision ?? 0;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: "Invalid revision numbers" });
+    }
+
+    const revisions = await revisionsCollection
+      .find({ lessonId: lessonId, revision: { $in: [from, to] } })
+      .toArray();
+    const fromRevision = revisions.find((r) => r.revision === from);
+    const toRevision = revisions.find((r) => r.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json({
+      from: { revision: from, editorEmail: fromRevision.editorEmail, createdAt: fromRevision.createdAt },
+      to: { revision: to, editorEmail: toRevision.editorEmail, createdAt: toRevision.createdAt },
+      changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot),
+    });
+  } catch (error) {
+    console.error("Error diffing lesson revisions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Restore lesson content from an older revision (creator or admin)
+// Moderation flags are not rolled back; the restore itself becomes a new revision
+app.post(
+  "/api/lessons/:id/revisions/:revision/restore",
+  verifyToken,
+  rateLimit("lessons"),
+  validate(schemas.restoreRevision),
+  async (req, res) => {
+    try {
+      const { ObjectId } = require("mongodb");
+      const lessonsCollection = getLessonsCollection();
+
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: "Invalid lesson ID" });
+      }
+
+      const revisionNumber = parseInt(req.params.revision);
+      if (Number.isNaN(revisionNumber)) {
+        return res.status(400).json({ error: "Invalid revision number" });
+      }
+
+      const lessonId = new ObjectId(req.params.id);
+      const lesson = await lessonsCollection.findOne({ _id: lessonId });
+
+      if (!lesson) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+
+      const isCreator = lesson.creatorEmail === req.user.email;
+      const isAdmin = req.user.role === "admin";
+
+      if (!isCreator && !isAdmin) {
+        return res
+          .status(403)
+          .json({ error: "You can only restore your own lessons" });
+      }
+
+      const target = await getLessonRevisionsCollection().findOne({
+        lessonId: lessonId,
+        revision: revisionNumber,
+      });
+
+      if (!target) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
 
-    // Check premium access for accessLevel
-    if (accessLevel === "premium" && !req.user.isPremium) {
-      return res
-        .status(403)
-        .json({ error: "Only premium users can create premium lessons" });
-    }
+      const updateFields = pickFields(target.snapshot, LESSON_CONTENT_FIELDS);
+      // Revisions from before tags existed restore to no tags
+      updateFields.tags = updateFields.tags || [];
+
+      // Same premium rule as PATCH when the restore switches to premium
+      if (
+        updateFields.accessLevel === "premium" &&
+        lesson.accessLevel !== "premium" &&
+        !req.user.isPremium
+      ) {
+        return res
+          .status(403)
+          .json({ error: "Only premium users can create premium lessons" });
+      }
 
-    // Update the lesson
-    await lessonsCollection.updateOne(
-      { _id: lessonId },
-      { $set: updateFields }
-    );
+      const { revision } = await updateLessonWithRevision(
+        lesson,
+        updateFields,
+        req.user,
+        { source: "restore", restoredFrom: revisionNumber }
+      );
 
-    res.json({ message: "Lesson updated successfully" });
-  } catch (error) {
-    console.error("Error updating lesson:", error);
-    res.status(500).json({ error: "Internal server error" });
+      // Viewers see a restore like any other edit
+      if (revision) {
+        await publishLessonRevision(lesson, updateFields, revision);
+      }
+
+      await auditLessonRevision(req, lesson, revision, "lesson.restored");
+
+      res.json({
+        message: revision
+          ? `Lesson restored to revision ${revisionNumber}`
+          : "Lesson already matches this revision",
+        revision: revision ? revision.revision : lesson.revision ?? null,
+      });
+    } catch (error) {
+      console.error("Error restoring lesson revision:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
 // Delete a lesson (creator only)
-app.delete("/api/lessons/:id", verifyToken, async (req, res) => {
+app.delete("/api/lessons/:id", verifyToken, validate(schemas.deleteById), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
     const lessonsCollection = getLessonsCollection();
@@ -1221,10 +8296,30 @@ app.delete("/api/lessons/:id", verifyToken, async (req, res) => {
         .json({ error: "You can only delete your own lessons" });
     }
 
-    // Delete the lesson
-    await lessonsCollection.deleteOne({ _id: lessonId });
+    // Delete the lesson with its comments, favorites and reports
+    const dryRun = req.query.dryRun === "true";
+    const summary = await runCleanupPlan(buildLessonCleanupSteps([lessonId]), {
+      dryRun,
+    });
+
+    if (dryRun) {
+      return res.json({ dryRun: true, wouldRemove: summary });
+    }
+
+    await publishLiveEvent(`lesson:${lessonId}`, "lesson.deleted", { lessonId });
+
+    // Admins removing someone else's lesson are audited
+    if (!isCreator) {
+      await recordAudit(req, {
+        action: "lesson.deleted",
+        targetType: "lesson",
+        targetId: lessonId,
+        before: { title: lesson.title, creatorEmail: lesson.creatorEmail },
+        metadata: { removed: summary },
+      });
+    }
 
-    res.json({ message: "Lesson deleted successfully" });
+    res.json({ message: "Lesson deleted successfully", removed: summary });
   } catch (error) {
     console.error("Error deleting lesson:", error);
     res.status(500).json({ error: "Internal server error" });
@@ -1232,7 +8327,7 @@ app.delete("/api/lessons/:id", verifyToken, async (req, res) => {
 });
 
 // Toggle favorite (add/remove)
-app.post("/api/lessons/:id/favorite", verifyToken, async (req, res) => {
+app.post("/api/lessons/:id/favorite", verifyToken, rateLimit("reactions"), validate(schemas.lessonId), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
     const lessonsCollection = getLessonsCollection();
@@ -1283,6 +8378,14 @@ app.post("/api/lessons/:id/favorite", verifyToken, async (req, res) => {
         { $addToSet: { favorites: req.params.id } }
       );
 
+      await notify({
+        recipientEmail: lesson.creatorEmail,
+        actorEmail: userEmail,
+        type: "lesson_favorited",
+        lessonId,
+        data: { lessonTitle: lesson.title },
+      });
+
       res.json({ message: "Added to favorites", favorited: true });
     }
   } catch (error) {
@@ -1291,8 +8394,59 @@ app.post("/api/lessons/:id/favorite", verifyToken, async (req, res) => {
   }
 });
 
+// SSE: Live updates for a lesson (likes, comments, moderation changes)
+app.get("/api/lessons/:id/stream", validate(schemas.lessonStream), resolveStreamUser, async (req, res) => {
+  try {
+    const { ObjectId } = require("mongodb");
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid lesson ID" });
+    }
+
+    const lesson = await getLessonsCollection().findOne(
+      { _id: new ObjectId(req.params.id) },
+      { projection: { creatorEmail: 1, visibility: 1, publishAt: 1, accessLevel: 1 } }
+    );
+
+    if (!lesson) {
+      return res.status(404).json({ error: "Lesson not found" });
+    }
+
+    // Events carry comment content: same access rules as the full lesson
+    // (unpublished: creator/admin only; premium: premium viewers)
+    if (!canViewLesson(lesson, req.user)) {
+      return res.status(403).json({ error: "Restricted lesson stream" });
+    }
+
+    await openLiveStream(req, res, `lesson:${lesson._id}`);
+  } catch (error) {
+    console.error("Error opening lesson stream:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+});
+
+// SSE: Personal events for the logged-in user (notifications)
+app.get("/api/me/stream", validate(schemas.userStream), resolveStreamUser, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ error: "Unauthorized - No token provided" });
+    }
+
+    await openLiveStream(req, res, `user:${req.user.email}`);
+  } catch (error) {
+    console.error("Error opening user stream:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+});
+
 // Get all comments for a lesson
-app.get("/api/lessons/:id/comments", async (req, res) => {
+app.get("/api/lessons/:id/comments", validate(schemas.listComments), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
     const commentsCollection = getCommentsCollection();
@@ -1302,12 +8456,56 @@ app.get("/api/lessons/:id/comments", async (req, res) => {
     }
 
     const lessonId = new ObjectId(req.params.id);
-    const comments = await commentsCollection
-      .find({ lessonId: lessonId })
-      .sort({ createdAt: -1 })
+    const lesson = await getLessonsCollection().findOne(
+      { _id: lessonId },
+      { projection: { creatorEmail: 1, visibility: 1, publishAt: 1, accessLevel: 1 } }
+    );
+
+    if (!lesson) {
+      return res.status(404).json({ error: "Lesson not found" });
+    }
+
+    // Same access rules as the full lesson and its live stream
+    if (!canViewLesson(lesson, await getOptionalViewer(req))) {
+      return res.status(403).json({ error: "Restricted lesson comments" });
+    }
+
+    // Legacy clients (no pagination params) receive the full array
+    if (!wantsPagination(req.query)) {
+      const comments = await commentsCollection
+        .find({ lessonId: lessonId })
+        .sort({ createdAt: -1 })
+        .toArray();
+      return res.json(comments);
+    }
+
+    // Paginate top-level comments, then attach each thread's replies
+    const sortKey = req.query.sort === "oldest" ? "oldest" : "newest";
+    const { field, direction } = LESSON_SORTS[sortKey];
+    const result = await paginateAggregate(
+      commentsCollection,
+      [{ $match: { lessonId: lessonId, parentId: null } }],
+      {
+        params: getPaginationParams(req.query, { defaultLimit: 20 }),
+        sortKey,
+        field,
+        direction,
+      }
+    );
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const replies = await commentsCollection
+      .find({ rootId: { $in: result.items.map((c) => c._id) } })
+      .sort({ createdAt: 1 })
       .toArray();
 
-    res.json(comments);
+    res.json({
+      comments: buildCommentTree(result.items, replies),
+      pagination: result.pagination,
+    });
   } catch (error) {
     console.error("Error fetching comments:", error);
     res.status(500).json({ error: "Internal server error" });
@@ -1315,10 +8513,10 @@ app.get("/api/lessons/:id/comments", async (req, res) => {
 });
 
 // Post a comment (User)
-app.post("/api/lessons/:id/comments", verifyToken, async (req, res) => {
+app.post("/api/lessons/:id/comments", verifyToken, rateLimit("comments"), validate(schemas.createComment), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
-    const { text } = req.body;
+    const { text, parentId } = req.body;
     const commentsCollection = getCommentsCollection();
     const usersCollection = getUsersCollection();
 
@@ -1326,25 +8524,104 @@ app.post("/api/lessons/:id/comments", verifyToken, async (req, res) => {
       return res.status(400).json({ error: "Invalid lesson ID" });
     }
 
-    if (!text || text.trim() === "") {
+    if (!text || typeof text !== "string" || text.trim() === "") {
       return res.status(400).json({ error: "Comment text is required" });
     }
 
+    if (text.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters`,
+      });
+    }
+
     const lessonId = new ObjectId(req.params.id);
+
+    // Lesson must exist and be visible to the commenter
+    const lesson = await getLessonsCollection().findOne({ _id: lessonId });
+    if (!lesson) {
+      return res.status(404).json({ error: "Lesson not found" });
+    }
+    if (!canViewLesson(lesson, req.user)) {
+      return res
+        .status(403)
+        .json({ error: "You don't have access to this lesson" });
+    }
+
+    // Resolve the parent comment for replies
+    let parent = null;
+    if (parentId) {
+      if (!ObjectId.isValid(parentId)) {
+        return res.status(400).json({ error: "Invalid parent comment ID" });
+      }
+      parent = await commentsCollection.findOne({
+        _id: new ObjectId(parentId),
+        lessonId: lessonId,
+      });
+      if (!parent) {
+        return res.status(404).json({ error: "Parent comment not found" });
+      }
+      if (parent.isDeleted) {
+        return res
+          .status(400)
+          .json({ error: "Cannot reply to a deleted comment" });
+      }
+      // Keep threads shallow: replies at max depth become siblings
+      if ((parent.depth || 0) >= MAX_COMMENT_DEPTH) {
+        parent = await commentsCollection.findOne({ _id: parent.parentId });
+      }
+    }
+
     const user = await usersCollection.findOne({ email: req.user.email });
 
     const newComment = {
       lessonId: lessonId,
+      parentId: parent ? parent._id : null,
+      rootId: parent ? parent.rootId || parent._id : null,
+      depth: parent ? (parent.depth || 0) + 1 : 0,
       userEmail: req.user.email,
       userName: user ? user.name : "Anonymous",
       userPhoto: user ? user.photo : "",
-      text: text,
+      text: text.trim(),
+      likes: [],
+      likesCount: 0,
+      replyCount: 0,
+      editedAt: null,
+      isDeleted: false,
       createdAt: new Date(),
     };
 
     const result = await commentsCollection.insertOne(newComment);
     newComment._id = result.insertedId;
 
+    if (parent) {
+      await commentsCollection.updateOne(
+        { _id: parent._id },
+        { $inc: { replyCount: 1 } }
+      );
+    }
+
+    await publishLiveEvent(`lesson:${lessonId}`, "comment.created", newComment);
+
+    // Notify the lesson creator and, for replies, the parent comment's author
+    await notify({
+      recipientEmail: lesson.creatorEmail,
+      actorEmail: req.user.email,
+      type: "lesson_commented",
+      lessonId,
+      commentId: newComment._id,
+      data: { lessonTitle: lesson.title },
+    });
+    if (parent && parent.userEmail !== lesson.creatorEmail) {
+      await notify({
+        recipientEmail: parent.userEmail,
+        actorEmail: req.user.email,
+        type: "comment_replied",
+        lessonId,
+        commentId: newComment._id,
+        data: { lessonTitle: lesson.title },
+      });
+    }
+
     res.status(201).json(newComment);
   } catch (error) {
     console.error("Error posting comment:", error);
@@ -1352,8 +8629,242 @@ app.post("/api/lessons/:id/comments", verifyToken, async (req, res) => {
   }
 });
 
+// Edit a comment (author only)
+app.patch("/api/comments/:id", verifyToken, rateLimit("comments"), validate(schemas.editComment), async (req, res) => {
+  try {
+    const { ObjectId } = require("mongodb");
+    const { text } = req.body;
+    const commentsCollection = getCommentsCollection();
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid comment ID" });
+    }
+
+    if (!text || typeof text !== "string" || text.trim() === "") {
+      return res.status(400).json({ error: "Comment text is required" });
+    }
+
+    if (text.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters`,
+      });
+    }
+
+    const commentId = new ObjectId(req.params.id);
+    const comment = await commentsCollection.findOne({ _id: commentId });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    if (comment.userEmail !== req.user.email) {
+      return res
+        .status(403)
+        .json({ error: "You can only edit your own comments" });
+    }
+
+    const editedAt = new Date();
+    await commentsCollection.updateOne(
+      { _id: commentId },
+      { $set: { text: text.trim(), editedAt } }
+    );
+
+    const updatedComment = { ...comment, text: text.trim(), editedAt };
+    await publishLiveEvent(
+      `lesson:${comment.lessonId}`,
+      "comment.updated",
+      updatedComment
+    );
+
+    res.json(updatedComment);
+  } catch (error) {
+    console.error("Error editing comment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete a comment (author or admin)
+// Comments with replies become tombstones so the thread stays intact
+app.delete("/api/comments/:id", verifyToken, validate(schemas.commentId), async (req, res) => {
+  try {
+    const { ObjectId } = require("mongodb");
+    const commentsCollection = getCommentsCollection();
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid comment ID" });
+    }
+
+    const commentId = new ObjectId(req.params.id);
+    const comment = await commentsCollection.findOne({ _id: commentId });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const isAuthor = comment.userEmail === req.user.email;
+    const isAdmin = req.user.role === "admin";
+
+    if (!isAuthor && !isAdmin) {
+      return res
+        .status(403)
+        .json({ error: "You can only delete your own comments" });
+    }
+
+    // Admins removing someone else's comment are audited
+    const auditDeletion = (tombstone) =>
+      isAuthor
+        ? null
+        : recordAudit(req, {
+            action: "comment.deleted",
+            targetType: "comment",
+            targetId: commentId,
+            before: { text: comment.text, userEmail: comment.userEmail },
+            metadata: { lessonId: String(comment.lessonId), tombstone },
+          });
+
+    if (comment.replyCount > 0) {
+      await commentsCollection.updateOne(
+        { _id: commentId },
+        {
+          $set: {
+            text: "",
+            userEmail: null,
+            userName: "[deleted]",
+            userPhoto: "",
+            likes: [],
+            likesCount: 0,
+            isDeleted: true,
+            deletedAt: new Date(),
+            deletedBy: isAuthor ? "author" : "admin",
+          },
+        }
+      );
+      await publishLiveEvent(`lesson:${comment.lessonId}`, "comment.deleted", {
+        commentId,
+        tombstone: true,
+      });
+      await auditDeletion(true);
+      return res.json({ message: "Comment deleted", tombstone: true });
+    }
+
+    await commentsCollection.deleteOne({ _id: commentId });
+
+    // Update ancestors; remove tombstones that no longer have replies
+    let parentId = comment.parentId;
+    while (parentId) {
+      const parent = await commentsCollection.findOneAndUpdate(
+        { _id: parentId },
+        { $inc: { replyCount: -1 } },
+        { returnDocument: "after" }
+      );
+      if (!parent || !parent.isDeleted || parent.replyCount > 0) break;
+      await commentsCollection.deleteOne({ _id: parent._id });
+      parentId = parent.parentId;
+    }
+
+    await publishLiveEvent(`lesson:${comment.lessonId}`, "comment.deleted", {
+      commentId,
+      tombstone: false,
+    });
+
+    await auditDeletion(false);
+    res.json({ message: "Comment deleted", tombstone: false });
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Like/Unlike a comment
+app.post("/api/comments/:id/like", verifyToken, rateLimit("reactions"), validate(schemas.commentId), async (req, res) => {
+  try {
+    const { ObjectId } = require("mongodb");
+    const commentsCollection = getCommentsCollection();
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid comment ID" });
+    }
+
+    const commentId = new ObjectId(req.params.id);
+    const userEmail = req.user.email;
+    const comment = await commentsCollection.findOne({ _id: commentId });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const hasLiked = comment.likes && comment.likes.includes(userEmail);
+
+    if (hasLiked) {
+      await commentsCollection.updateOne(
+        { _id: commentId },
+        { $pull: { likes: userEmail }, $inc: { likesCount: -1 } }
+      );
+      res.json({ message: "Comment unliked", liked: false });
+    } else {
+      await commentsCollection.updateOne(
+        { _id: commentId },
+        { $addToSet: { likes: userEmail }, $inc: { likesCount: 1 } }
+      );
+      res.json({ message: "Comment liked", liked: true });
+    }
+  } catch (error) {
+    console.error("Error toggling comment like:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Report a comment (feeds the admin reports queue)
+app.post("/api/comments/:id/report", verifyToken, rateLimit("reports"), validate(schemas.reportComment), async (req, res) => {
+  try {
+    const { ObjectId } = require("mongodb");
+    const commentsCollection = getCommentsCollection();
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid comment ID" });
+    }
+
+    const parsed = parseReportReason(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const comment = await commentsCollection.findOne({
+      _id: new ObjectId(req.params.id),
+    });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const result = await createReport({
+      targetType: "comment",
+      lessonId: comment.lessonId,
+      commentId: comment._id,
+      reasonCode: parsed.reasonCode,
+      details: parsed.details,
+      reporterEmail: req.user.email,
+    });
+
+    if (result.duplicate) {
+      return res.status(409).json({
+        error: "You already have an open report for this comment",
+        reportId: result.report._id,
+      });
+    }
+
+    res.status(201).json({
+      message: "Report submitted successfully",
+      reportId: result.report._id,
+    });
+  } catch (error) {
+    console.error("Error reporting comment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Get user's favorite lessons (with aggregation for filtering)
-app.get("/api/my-favorites", verifyToken, async (req, res) => {
+app.get("/api/my-favorites", verifyToken, validate(schemas.myFavorites), async (req, res) => {
   try {
     const { ObjectId } = require("mongodb");
     const favoritesCollection = getFavoritesCollection();
@@ -1378,35 +8889,70 @@ app.get("/api/my-favorites", verifyToken, async (req, res) => {
       // 3. Unwind the lesson array (since lookup returns an array)
       { $unwind: "$lesson" },
 
+      // Keep the favorited date so results can be ordered by it
+      { $addFields: { "lesson.favoritedAt": "$createdAt" } },
+
       // 4. Project the lesson fields to root (optional, or keep inside 'lesson')
       // We will replace root with lesson but keep favorite metadata if needed. 
       // For simplicity matching the previous API, we return the lessons.
       {
         $replaceRoot: { newRoot: "$lesson" }
-      }
+      },
+      { $project: LESSON_BODY_FIELDS }
     ];
 
     // 5. Apply filters on the LESSON fields
     if (category) {
-      pipeline.push({ $match: { category: category } });
+      const value = await taxonomyFilterValue("category", category);
+      pipeline.push({ $match: { category: value } });
     }
     if (emotionalTone) {
-      pipeline.push({ $match: { emotionalTone: emotionalTone } });
+      const value = await taxonomyFilterValue("tone", emotionalTone);
+      pipeline.push({ $match: { emotionalTone: value } });
+    }
+    const tagFilter = buildTagFilter(req.query.tags, req.query.tagMatch);
+    if (tagFilter) {
+      pipeline.push({ $match: tagFilter });
     }
 
-    // Sort by added time? Or lesson creation? 
-    // Requirement says "display tabular format", existing code sorted by createdAt.
-    // Since we replaced root with lesson, 'createdAt' is the lesson's date.
-    // If we want favorited date, we'd need to keep it before replaceRoot.
-    // Let's stick to lesson properties for filters/sort as requested.
+    // Legacy clients (no pagination params) receive the full list
+    if (!wantsPagination(req.query)) {
+      const favoriteLessons = await favoritesCollection.aggregate(pipeline).toArray();
 
-    // Execute aggregation
-    const favoriteLessons = await favoritesCollection.aggregate(pipeline).toArray();
+      return res.json({
+        lessons: withListExcerpts(favoriteLessons, req.user),
+        total: favoriteLessons.length,
+      });
+    }
 
-    res.json({
-      lessons: favoriteLessons,
-      total: favoriteLessons.length,
+    // Sort by favorited date (newest/oldest) or lesson popularity
+    const sortKey = ["oldest", "popular"].includes(req.query.sort)
+      ? req.query.sort
+      : "newest";
+    const sortOptions = {
+      newest: { field: "favoritedAt", direction: -1 },
+      oldest: { field: "favoritedAt", direction: 1 },
+      popular: LESSON_SORTS.popular,
+    };
+    const result = await paginateAggregate(favoritesCollection, pipeline, {
+      params: getPaginationParams(req.query),
+      sortKey,
+      ...sortOptions[sortKey],
     });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    // Page mode keeps the legacy top-level total; cursor mode has no count
+    const response = {
+      lessons: withListExcerpts(result.items, req.user),
+      pagination: result.pagination,
+    };
+    if (result.pagination.total !== undefined) {
+      response.total = result.pagination.total;
+    }
+    res.json(response);
   } catch (error) {
     console.error("Error fetching favorites:", error);
     res.status(500).json({ error: "Internal server error" });
@@ -1420,6 +8966,26 @@ connectDB().then(() => {
   app.listen(PORT, () => {
     console.log(`Rewise server is running on port ${PORT}`);
   });
+
+  // Long-running servers run background jobs themselves (Vercel uses cron)
+  if (db && !process.env.VERCEL) {
+    const refresh = () =>
+      refreshRecommendations().catch((error) =>
+        console.error("Error refreshing recommendations:", error)
+      );
+    refresh();
+    setInterval(refresh, RECOMMENDATIONS_REFRESH_MINUTES * 60 * 1000).unref();
+
+    const collectAssets = () =>
+      runAssetGarbageCollection().catch((error) =>
+        console.error("Error collecting assets:", error)
+      );
+    setInterval(collectAssets, 24 * 60 * 60 * 1000).unref();
+
+    const resumeJobs = () =>
+      runPendingJobs().catch((error) => console.error("Error running jobs:", error));
+    setInterval(resumeJobs, 60 * 1000).unref();
+  }
 });
 
 module.exports = app;